@@ -0,0 +1,185 @@
+/*
+* Nautilus-Metadata a script to show metadata in a GUI on the Linux desktop
+* Copyright (C) 2019  Jason Webb
+
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/**
+ * @class Class of static methods for running the script without a window:
+ * reading the command line options, formatting the metadata of the files as
+ * JSON, CSV or a plain text table and working out the exit status. The
+ * metadata of a file is the object of groups made by
+ * Application._parseMetadata, each group an array of [description, value,
+ * tag name, ...] items.
+ */
+var Cli = class Cli {
+    /**
+     * @desc Method to return the usage message.
+     * @returns {string} the usage message
+     */
+    static getUsage() {
+        return 'Usage: metadata.js --cli [--format json|table|csv] [--group GROUP] files...';
+    }
+
+    /**
+     * @desc Method to read the command line options.
+     * @param {array} argv the command line arguments without --cli
+     * @returns {object} the options
+     * @property {boolean} help whether --help was passed
+     * @property {string} format the output format, table by default
+     * @property {(string | undefined)} group the only group to print
+     * @property {array} paths the files and folders to read
+     * @property {boolean} valid whether the format and group are valid and there is a path
+     */
+    static parseArgs(argv) {
+        const options = { help: false, format: 'table', group: undefined, paths: [] };
+        let missing = false;
+
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i] === '--help') {
+                options.help = true;
+            } else if (argv[i] === '--format') {
+                options.format = argv[++i];
+            } else if (argv[i] === '--group') {
+                options.group = argv[++i];
+                missing = missing || options.group === undefined;
+            } else {
+                options.paths.push(argv[i]);
+            }
+        }
+        options.valid = ['json', 'table', 'csv'].indexOf(options.format) !== -1 &&
+            !missing && options.paths.length > 0;
+        return options;
+    }
+
+    /**
+     * @desc Method to return the exit status for the problems reading the
+     * files: 0 if every file was read (warnings are not problems) and 1 if
+     * any file could not be read. Invalid options exit with 2 before any file
+     * is read.
+     * @param {array} problems the problem of each file, undefined for a file without one
+     * @returns {number} the exit status
+     */
+    static getStatus(problems) {
+        return problems.some(problem => problem && problem.type !== 'warning') ? 1 : 0;
+    }
+
+    /**
+     * @desc Method to leave only one group in the metadata of a file.
+     * @param {object} output the metadata of a file
+     * @param {(string | undefined)} group the group to keep, every group if there is none
+     * @returns {object} the metadata with only the group
+     */
+    static filterGroup(output, group) {
+        const filtered = {};
+        Object.keys(output)
+            .filter(key => !group || key === group)
+            .forEach((key) => {
+                filtered[key] = output[key];
+            });
+        return filtered;
+    }
+
+    /**
+     * @desc Method to format the metadata of files in the chosen format.
+     * @param {string} format the output format, either json, table or csv
+     * @param {array} files an array of { path, output } for each file
+     * @returns {string} the formated metadata
+     */
+    static getOutput(format, files) {
+        switch (format) {
+        case 'json':
+            return Cli.getJSON(files);
+        case 'csv':
+            return Cli.getCSV(files);
+        default:
+            return Cli.getTable(files);
+        }
+    }
+
+    /**
+     * @desc Method to format the metadata of files as JSON, grouped in the
+     * same way as the metadata is stored with the SourceFile added.
+     * @param {array} files an array of { path, output } for each file
+     * @returns {string} the JSON formated metadata
+     */
+    static getJSON(files) {
+        return JSON.stringify(files.map(({ path, output }) => {
+            const file = { SourceFile: path };
+            // only the [desc, val, tag name] of each tag, as before the raw values were kept
+            Object.keys(output).forEach((key) => {
+                file[key] = output[key].map(item => item.slice(0, 3));
+            });
+            return file;
+        }), null, 2);
+    }
+
+    /**
+     * @desc Method to format the metadata of files as CSV, with one row per
+     * file and one column for every Group:Tag found in any of the files.
+     * @param {array} files an array of { path, output } for each file
+     * @returns {string} the CSV formated metadata
+     */
+    static getCSV(files) {
+        const columns = [];
+        const rows = files.map(({ path, output }) => {
+            const row = { SourceFile: path };
+            Object.keys(output).forEach((group) => {
+                output[group].forEach((item) => {
+                    const column = `${group}:${item[2]}`;
+                    if (columns.indexOf(column) === -1) {
+                        columns.push(column);
+                    }
+                    row[column] = item[1].toString();
+                });
+            });
+            return row;
+        });
+        const escape = (value) => (
+            /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+        );
+
+        columns.unshift('SourceFile');
+        return [columns.map(escape).join(',')]
+            .concat(rows.map(row => (
+                columns.map(column => escape(row[column] || '')).join(',')
+            )))
+            .join('\r\n');
+    }
+
+    /**
+     * @desc Method to format the metadata of files as a plain text table, in
+     * the style of the exiftool output: a heading for each file and group and
+     * the descriptions lined up (up to 32 characters).
+     * @param {array} files an array of { path, output } for each file
+     * @returns {string} the table
+     */
+    static getTable(files) {
+        return files.map(({ path, output }) => {
+            const groups = Object.keys(output).map((key) => {
+                const width = Math.min(32, Math.max(0, ...output[key].map(item => item[0].length)));
+                return [`[${key}]`].concat(output[key].map(item => (
+                    `  ${item[0].padEnd(width)} : ${item[1]}`
+                ))).join('\n');
+            });
+            return [`======== ${path}`].concat(groups).join('\n');
+        }).join('\n\n');
+    }
+};
+
+// the unit tests load this module in node, where there is no imports
+if (typeof module !== 'undefined') {
+    module.exports = { Cli };
+}
@@ -0,0 +1,155 @@
+/*
+* Nautilus-Metadata a script to show metadata in a GUI on the Linux desktop
+* Copyright (C) 2019  Jason Webb
+
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/**
+ * @class Class of static methods to read the location of files from the
+ * numeric (-n) output of exiftool, so that no degrees, minutes and seconds
+ * text has to be parsed. The latitude and longitude are taken from the first
+ * of these that has both: the EXIF GPS tags, the XMP exif namespace, the
+ * QuickTime Keys, UserData and ItemList GPSCoordinates tags written by phones
+ * and cameras in video files, and finally the Composite tags. A missing Ref
+ * tag leaves the value as it is, 0 is a valid coordinate and longitudes past
+ * the antimeridian are wrapped back into the -180 to 180 range.
+ */
+var Coordinates = class Coordinates {
+    /**
+     * @desc Method to return the exiftool command that reads the location
+     * tags of the files as numbers.
+     * @param {array} paths the paths of the files to read
+     * @returns {array} an array of argument strings to spawn the command
+     */
+    static getCommand(paths) {
+        return ['exiftool', '-j', '-n', '-a', '-G1', '-GPS*'].concat(paths);
+    }
+
+    /**
+     * @desc Method to parse the JSON output of the getCommand command.
+     * @param {string} json the JSON output of exiftool
+     * @returns {object} the location of each file keyed by its SourceFile
+     */
+    static parse(json) {
+        const locations = {};
+        JSON.parse(json).forEach((tags) => {
+            locations[tags.SourceFile] = Coordinates.getLocation(tags);
+        });
+        return locations;
+    }
+
+    /**
+     * @desc Method to return the location from the location tags of a file.
+     * @param {object} tags the numeric tag values keyed by Group:Tag
+     * @returns {(object | undefined)} the location or undefined if the file has none
+     * @property {number} latitude in decimal degrees, negative for south
+     * @property {number} longitude in decimal degrees, negative for west
+     * @property {(number | undefined)} altitude in metres, negative for below sea level
+     * @property {(number | undefined)} direction the direction the camera faced in degrees
+     * @property {(string | undefined)} directionRef T for true north or M for magnetic north
+     * @property {(string | undefined)} datum the map datum of the coordinates
+     */
+    static getLocation(tags) {
+        const number = Coordinates.toNumber;
+        const signed = Coordinates.toSigned;
+        const sources = [{
+            latitude: signed(tags['GPS:GPSLatitude'], tags['GPS:GPSLatitudeRef'], 'S'),
+            longitude: signed(tags['GPS:GPSLongitude'], tags['GPS:GPSLongitudeRef'], 'W'),
+            altitude: signed(tags['GPS:GPSAltitude'], tags['GPS:GPSAltitudeRef'], '1'),
+            direction: number(tags['GPS:GPSImgDirection']),
+            directionRef: tags['GPS:GPSImgDirectionRef'],
+            datum: tags['GPS:GPSMapDatum'],
+        },{
+            latitude: number(tags['XMP-exif:GPSLatitude']),
+            longitude: number(tags['XMP-exif:GPSLongitude']),
+            altitude: signed(tags['XMP-exif:GPSAltitude'], tags['XMP-exif:GPSAltitudeRef'], '1'),
+            direction: number(tags['XMP-exif:GPSImgDirection']),
+            directionRef: tags['XMP-exif:GPSImgDirectionRef'],
+            datum: tags['XMP-exif:GPSMapDatum'],
+        }].concat(['Keys', 'UserData', 'ItemList'].map((group) => {
+            // ISO 6709 coordinates are output as "latitude longitude altitude"
+            const values = String(tags[`${group}:GPSCoordinates`] || '').split(/[\s,]+/).map(number);
+            return { latitude: values[0], longitude: values[1], altitude: values[2] };
+        }), {
+            latitude: number(tags['Composite:GPSLatitude']),
+            longitude: number(tags['Composite:GPSLongitude']),
+            altitude: number(tags['Composite:GPSAltitude']),
+        });
+
+        const position = sources.find(source => (
+            source.latitude !== undefined && source.longitude !== undefined &&
+            Math.abs(source.latitude) <= 90 && Math.abs(source.longitude) <= 540
+        ));
+
+        if (!position) {
+            return undefined;
+        }
+
+        const first = key => (sources.find(source => source[key] !== undefined) || {})[key];
+        const direction = first('direction');
+        return {
+            latitude: position.latitude,
+            longitude: Coordinates.wrapLongitude(position.longitude),
+            altitude: position.altitude !== undefined ? position.altitude : first('altitude'),
+            direction: direction !== undefined ? ((direction % 360) + 360) % 360 : undefined,
+            directionRef: first('directionRef'),
+            datum: first('datum'),
+        };
+    }
+
+    /**
+     * @desc Method to convert a tag value to a number.
+     * @param {(number | string | undefined)} value the tag value
+     * @returns {(number | undefined)} the number or undefined if it is not a number
+     */
+    static toNumber(value) {
+        const result = typeof value === 'number' ? value : parseFloat(value);
+        return isNaN(result) || !isFinite(result) ? undefined : result;
+    }
+
+    /**
+     * @desc Method to apply a Ref tag to a value. A value with a negative Ref
+     * (eg. S, W or 1 for below sea level) is made negative and any other Ref
+     * makes it positive. Without a Ref the value is left as it is.
+     * @param {(number | string | undefined)} value the tag value
+     * @param {(number | string | undefined)} ref the value of the matching Ref tag
+     * @param {string} negative the first character of the Ref that is negative
+     * @returns {(number | undefined)} the signed number
+     */
+    static toSigned(value, ref, negative) {
+        const result = Coordinates.toNumber(value);
+        if (result === undefined || ref === undefined || ref === null || ref === '') {
+            return result;
+        }
+        return String(ref).charAt(0).toUpperCase() === negative ? -Math.abs(result) : Math.abs(result);
+    }
+
+    /**
+     * @desc Method to wrap a longitude into the -180 to 180 range.
+     * @param {number} longitude in decimal degrees
+     * @returns {number} the wrapped longitude
+     */
+    static wrapLongitude(longitude) {
+        if (longitude > 180 || longitude < -180) {
+            return ((((longitude + 180) % 360) + 360) % 360) - 180;
+        }
+        return longitude;
+    }
+};
+
+// the unit tests load this module in node, where there is no imports
+if (typeof module !== 'undefined') {
+    module.exports = { Coordinates };
+}
@@ -19,8 +19,391 @@
 */
 
 // import standard libraries
-const { Gio, GLib, Gtk, Gdk, Pango, WebKit2 }  = imports.gi;
+const { GObject, Gio, GLib, Gtk, Gdk, GdkPixbuf, Pango, WebKit2 }  = imports.gi;
 const ByteArray = imports.byteArray;
+const System = imports.system;
+
+// import the modules kept next to the script, following a symbolic link to it
+const SCRIPT_PATH = Gio.File.new_for_path(System.programInvocationName).get_path();
+const SCRIPT_LINK = GLib.file_test(SCRIPT_PATH, GLib.FileTest.IS_SYMLINK) ? GLib.file_read_link(SCRIPT_PATH) : SCRIPT_PATH;
+const SCRIPT_DIR = GLib.path_get_dirname(GLib.path_is_absolute(SCRIPT_LINK) ?
+    SCRIPT_LINK : GLib.build_filenamev([GLib.path_get_dirname(SCRIPT_PATH), SCRIPT_LINK]));
+imports.searchPath.unshift(SCRIPT_DIR);
+const { Coordinates } = imports.coordinates;
+const { Cli } = imports.cli;
+const { Tags } = imports.tags;
+
+/**
+ * @class Class of static methods to read a GPS track log and find the
+ * position at a given time, in the same way as the exiftool geotag feature.
+ * Between two fixes no more than the tolerance apart the position is
+ * interpolated, otherwise the nearest fix within the tolerance is used.
+ */
+class Track {
+    /**
+     * @desc Method to parse the track points of a GPX or KML file. GPX track
+     * points, KML gx:Track coordinates and KML Placemarks with a TimeStamp are
+     * all read.
+     * @param {string} text the contents of the track file
+     * @returns {array} the points sorted by time, each with a time (in seconds), latitude and longitude
+     */
+    static parse(text) {
+        const points = [];
+        const add = (time, latitude, longitude) => {
+            const point = {
+                time: Date.parse(time) / 1000,
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude),
+            };
+            if (![point.time, point.latitude, point.longitude].some(isNaN)) {
+                points.push(point);
+            }
+        };
+        let match;
+
+        const gpx = /<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g;
+        while ((match = gpx.exec(text)) !== null) {
+            const lat = /\blat=["']([^"']+)/.exec(match[1]);
+            const lon = /\blon=["']([^"']+)/.exec(match[1]);
+            const time = /<time>([^<]+)<\/time>/.exec(match[2]);
+            if (lat && lon && time) {
+                add(time[1].trim(), lat[1], lon[1]);
+            }
+        }
+
+        const track = /<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g;
+        while ((match = track.exec(text)) !== null) {
+            const whens = match[1].match(/<when>[^<]+<\/when>/g) || [];
+            const coords = match[1].match(/<gx:coord>[^<]+<\/gx:coord>/g) || [];
+            whens.forEach((when, i) => {
+                if (coords[i]) {
+                    const coord = coords[i].replace(/<\/?gx:coord>/g, '').trim().split(/\s+/);
+                    add(when.replace(/<\/?when>/g, '').trim(), coord[1], coord[0]);
+                }
+            });
+        }
+
+        const placemark = /<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g;
+        while ((match = placemark.exec(text)) !== null) {
+            const time = /<TimeStamp>\s*<when>([^<]+)<\/when>/.exec(match[1]);
+            const coord = /<Point>[\s\S]*?<coordinates>([^<]+)<\/coordinates>/.exec(match[1]);
+            if (time && coord) {
+                const values = coord[1].trim().split(',');
+                add(time[1].trim(), values[1], values[0]);
+            }
+        }
+
+        return points.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * @desc Method to find the position on the track at a time.
+     * @param {array} points the points returned from parse
+     * @param {number} time the time in seconds since the epoch
+     * @param {number} tolerance the maximum number of seconds to a fix
+     * @returns {(object | undefined)} the latitude and longitude or undefined if there is no fix in time
+     */
+    static locate(points, time, tolerance) {
+        let low = 0;
+        let high = points.length;
+
+        // find the first point at or after the time
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (points[middle].time < time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const before = points[low - 1];
+        const after = points[low];
+
+        if (after && after.time === time) {
+            return { latitude: after.latitude, longitude: after.longitude };
+        }
+
+        if (before && after && after.time - before.time <= tolerance) {
+            const ratio = (time - before.time) / (after.time - before.time);
+            let longitude = after.longitude;
+            // interpolate the short way round across the antimeridian
+            longitude += Math.round((before.longitude - longitude) / 360) * 360;
+            return {
+                latitude: before.latitude + (after.latitude - before.latitude) * ratio,
+                longitude: Coordinates.wrapLongitude(before.longitude + (longitude - before.longitude) * ratio),
+            };
+        }
+
+        const nearest = [before, after]
+            .filter(point => point && Math.abs(point.time - time) <= tolerance)
+            .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0];
+        return nearest && { latitude: nearest.latitude, longitude: nearest.longitude };
+    }
+}
+
+/**
+ * @class Class to run exiftool commands through a small pool of persistent
+ * exiftool processes started with -stay_open True -@ -, so that reading a few
+ * hundred files does not start a few hundred processes. Each process runs one
+ * command at a time from a shared queue. The end of a command is found from
+ * the {readyNUM} line exiftool prints after -executeNUM on standard out, and
+ * from an -echo4 line with the exit status on standard error.
+ */
+class ExifToolRunner {
+    /**
+     * @desc Class constructor, the processes are only started once there is
+     * a command for them to run.
+     * @param {number} concurrency the most exiftool processes to run at once
+     * @param {string} binary the exiftool program, a path or a name found in the PATH
+     */
+    constructor(concurrency, binary) {
+        this.concurrency = concurrency;
+        this.binary = binary || 'exiftool';
+        this.queue = [];
+        this.workers = [];
+        this.id = 0;
+    }
+
+    /**
+     * @desc Method to queue a command (without the leading exiftool). The
+     * promise is rejected with Gio.IOErrorEnum.CANCELLED if the cancellable
+     * is cancelled before or while the command runs, and a process that is
+     * running the command is stopped.
+     * @param {array} args the arguments to pass to exiftool
+     * @param {object} options binary to read standard out as bytes and a Gio.Cancellable
+     * @returns {object} a promised object with the stdout, stderr and (exit) status
+     */
+    run(args, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                args,
+                binary: options.binary,
+                cancellable: options.cancellable,
+                resolve,
+                reject,
+            });
+            this._next();
+        });
+    }
+
+    /**
+     * @desc Method to ask every process to exit once its current command is done.
+     */
+    close() {
+        this.workers.forEach((worker) => {
+            try {
+                this._write(worker, ['-stay_open', 'False']);
+                worker.stdin.close(null);
+            } catch (err) {
+                // the process has already exited
+            }
+        });
+        this.workers = [];
+    }
+
+    /**
+     * @desc Method to start the queued commands on any idle process, starting
+     * a new process if all are busy and the concurrency limit allows it.
+     */
+    _next() {
+        while (this.queue.length) {
+            let worker = this.workers.find(item => !item.busy);
+            if (!worker && this.workers.length < this.concurrency) {
+                try {
+                    worker = this._startWorker();
+                } catch (err) {
+                    this.queue.splice(0).forEach(job => job.reject(err));
+                    return;
+                }
+            }
+            if (!worker) {
+                return;
+            }
+
+            const job = this.queue.shift();
+            if (job.cancellable && job.cancellable.is_cancelled()) {
+                job.reject(ExifToolRunner.getCancelledError());
+            } else {
+                this._execute(worker, job);
+            }
+        }
+    }
+
+    /**
+     * @desc Method to start a persistent exiftool process.
+     * @external Gio.Subprocess
+     * @external Gio.DataInputStream
+     * @constant Gio.SubprocessFlags
+     * @returns {object} the process with its stdin, stdout and stderr streams
+     */
+    _startWorker() {
+        const process = Gio.Subprocess.new([this.binary, '-stay_open', 'True', '-@', '-'],
+            Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE);
+        const worker = {
+            busy: false,
+            process,
+            stdin: process.get_stdin_pipe(),
+            stdout: new Gio.DataInputStream({ base_stream: process.get_stdout_pipe() }),
+            stderr: new Gio.DataInputStream({ base_stream: process.get_stderr_pipe() }),
+        };
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * @desc Method to run a command on a process and settle its promise once
+     * both standard out and standard error have reached the end of it. If the
+     * command is cancelled while it runs the process is stopped, as exiftool
+     * cannot be told to stop part way through a command.
+     * @param {object} worker the idle process
+     * @param {object} job the queued command
+     */
+    _execute(worker, job) {
+        const id = ++this.id;
+        const ready = ByteArray.fromString(`{ready${id}}`);
+        const status = new RegExp(`^\\{status${id}:(.*)\\}$`);
+        const cancelled = job.cancellable ? job.cancellable.connect(() => this._removeWorker(worker)) : 0;
+        const finish = () => {
+            if (cancelled) {
+                job.cancellable.disconnect(cancelled);
+            }
+        };
+        worker.busy = true;
+
+        try {
+            this._write(worker, job.args.concat(['-echo4', `{status${id}:\${status}}`, `-execute${id}`]));
+        } catch (err) {
+            this._removeWorker(worker);
+            job.reject(err);
+            this._next();
+            return;
+        }
+
+        Promise.all([
+            this._readUntil(worker.stdout, (line) => {
+                const start = line.length - ready.length;
+                return start >= 0 && ready.every((byte, i) => line[start + i] === byte) ? start : -1;
+            }),
+            this._readUntil(worker.stderr, line => (status.test(ByteArray.toString(line)) ? 0 : -1)),
+        ]).then(([out, err]) => {
+            finish();
+            worker.busy = false;
+            if (job.cancellable && job.cancellable.is_cancelled()) {
+                job.reject(ExifToolRunner.getCancelledError());
+            } else {
+                job.resolve({
+                    stdout: job.binary ? ExifToolRunner.joinLines(out.lines) :
+                        out.lines.map(line => `${ByteArray.toString(line)}\n`).join(''),
+                    stderr: err.lines.map(line => `${ByteArray.toString(line)}\n`).join(''),
+                    status: parseInt(ByteArray.toString(err.marker).match(status)[1], 10) || 0,
+                });
+            }
+            this._next();
+        }).catch((err) => {
+            finish();
+            this._removeWorker(worker);
+            job.reject(job.cancellable && job.cancellable.is_cancelled() ? ExifToolRunner.getCancelledError() : err);
+            this._next();
+        });
+    }
+
+    /**
+     * @desc Method to write a list of arguments to a process, one per line.
+     * Arguments that would not survive this (new lines or white space at
+     * either end) are written as #[CSTR] lines with C escapes, which keep
+     * their white space.
+     * @param {object} worker the process
+     * @param {array} args the arguments
+     */
+    _write(worker, args) {
+        const text = args.map((arg) => {
+            const value = String(arg);
+            if (!/[\r\n]|^\s|\s$/.test(value)) {
+                return value;
+            }
+            return `#[CSTR]${value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r').replace(/\t/g, '\\t')}`;
+        }).join('\n');
+        worker.stdin.write_all(ByteArray.fromString(`${text}\n`), null);
+        worker.stdin.flush(null);
+    }
+
+    /**
+     * @desc Method to read the lines of a stream until the end of a command.
+     * @external Gio.DataInputStream
+     * @constant GLib.PRIORITY_LOW
+     * @param {object} stream the Gio.DataInputStream of the process
+     * @param {function} test returns where the end marker starts in a line or -1
+     * @returns {object} a promised object with the lines before the marker and the marker line
+     */
+    _readUntil(stream, test) {
+        const lines = [];
+        return new Promise((resolve, reject) => {
+            const read = () => {
+                stream.read_line_async(GLib.PRIORITY_LOW, null, (source, res) => {
+                    let line;
+                    try {
+                        [line] = source.read_line_finish(res);
+                    } catch (err) {
+                        reject(err);
+                        return;
+                    }
+                    if (line === null) {
+                        reject(new Error('exiftool exited unexpectedly'));
+                        return;
+                    }
+                    const start = test(line);
+                    if (start === -1) {
+                        lines.push(line);
+                        read();
+                        return;
+                    }
+                    if (start > 0) {
+                        lines.push(line.slice(0, start));
+                    }
+                    resolve({ lines, marker: line.slice(start) });
+                });
+            };
+            read();
+        });
+    }
+
+    /**
+     * @desc Method to stop and drop a process that can no longer be used.
+     * @param {object} worker the process
+     */
+    _removeWorker(worker) {
+        this.workers = this.workers.filter(item => item !== worker);
+        worker.process.force_exit();
+    }
+
+    /**
+     * @desc Method to join lines of bytes back together with new lines.
+     * @param {array} lines the lines as Uint8Arrays
+     * @returns {Uint8Array} the joined bytes
+     */
+    static joinLines(lines) {
+        const data = new Uint8Array(Math.max(lines.reduce((length, line) => length + line.length + 1, 0) - 1, 0));
+        lines.reduce((offset, line) => {
+            data.set(line, offset);
+            if (offset + line.length < data.length) {
+                data[offset + line.length] = 10;
+            }
+            return offset + line.length + 1;
+        }, 0);
+        return data;
+    }
+
+    /**
+     * @desc Method to return the error a cancelled command is rejected with.
+     * @external Gio.IOErrorEnum
+     * @returns {object} a GLib.Error of Gio.IOErrorEnum.CANCELLED
+     */
+    static getCancelledError() {
+        return new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED, 'Operation was cancelled');
+    }
+}
 
 /**
  * @class Class to display metadata from a file or files in a UI wrapper via
@@ -33,22 +416,135 @@ class Application {
      */
     constructor() {
         this.widgets = {};
+        this.files = [];
+        this.folders = [];
+        this.edits = {};
+        this.writeErrors = {};
+        this.fileErrors = {};
+        this.locations = {};
+        this.images = {};
         this.fileNumber = 0;
         this.VERSION = '1.0';
+        this.COMPARE_FILES = 4; // number of files checked when the compare dialog opens
         this.TITLE =  'Nautilus-Metadata';
+        this.HEADER_IMAGE_SIZE = 96;
+        this.SIDEBAR_IMAGE_SIZE = 32;
+        this.SIDEBAR_WIDTH = 240;
+        this.TAG_COLUMN_WIDTH = 160;
+        this.sidebarSort = 'name';
+        this.rawValues = false; // show the -n values in place of the formatted values
+        this.showTagNames = false; // show the tag name and ID column
+        this.groupFamily = '0'; // group the tags by family 0, 1 or 0:1 (family 1 within family 0)
+        this.EXIFTOOL_PROCESSES = 2; // persistent exiftool processes reading files side by side
+        this.CHANGE_LOG_SIZE = 5000; // number of tag changes kept in changes.json
+        this.LEAFLET_URL = 'https://unpkg.com/leaflet@1.9.4/dist'; // used online when Leaflet is not installed
+        this.LIST_TAGS = ['Subject', 'Keywords', 'HierarchicalSubject', 'TagsList', 'CatalogSets',
+            'LastKeywordXMP', 'LastKeywordIPTC', 'SupplementalCategories']; // edited as lists even with one value
+        this.KEYWORD_TAGS = {
+            flat: ['XMP-dc:Subject', 'IPTC:Keywords'],
+            hierarchical: 'XMP-lr:HierarchicalSubject',
+        }; // the keyword tags that are kept in sync
+        this.LABELS = {
+            Red: '#e01b24',
+            Yellow: '#f6d32d',
+            Green: '#33d17a',
+            Blue: '#3584e4',
+            Purple: '#9141ac',
+        }; // the colour labels of the quick edit panel, as named by Lightroom and Bridge
+        this.settings = this._loadSettings();
+        this.changeLog = this._loadChangeLog();
+        this.runner = new ExifToolRunner(this.EXIFTOOL_PROCESSES, this.settings.exiftoolPath);
         GLib.set_prgname(this.TITLE);
     }
 
     /**
-     * @desc Initial public method that will run the application
+     * @desc Method to return the path of a file within the configuration
+     * directory of the application ($XDG_CONFIG_HOME/nautilus-metadata).
+     * @param {string} name the name of the file
+     * @returns {string} the path of the file
+     */
+    _getConfigPath(name) {
+        return GLib.build_filenamev([GLib.get_user_config_dir(), 'nautilus-metadata', name]);
+    }
+
+    /**
+     * @desc Method to load the user settings from settings.json in the
+     * configuration directory, falling back to the default for any setting
+     * that is not in the file (or if there is no file).
+     * @property {string} mapTiles a tile url template, a folder of {z}/{x}/{y}.png tiles or an .mbtiles file
+     * @property {string} leafletPath the folder containing leaflet.js and leaflet.css
+     * @property {boolean} folderRecursive whether to read the files in the sub folders of a selected folder
+     * @property {number} folderDepth the most levels of sub folders to read, 0 for no limit
+     * @property {array} folderExtensions the file extensions to read from folders, empty for all files
+     * @property {number} mapZoom the zoom level of the map
+     * @property {string} defaultGroup the group shown when the window opens, empty for the first group
+     * @property {array} hiddenGroups the family 0 or 1 groups that are not shown
+     * @property {number} windowWidth the width of the window (without the file list)
+     * @property {number} windowHeight the height of the window
+     * @property {boolean} windowResizable whether the window can be resized
+     * @property {number} transitionDuration the time in ms to slide between groups
+     * @property {string} exiftoolPath the exiftool program, a path or a name found in the PATH
+     * @property {array} exiftoolArgs extra arguments for the exiftool command that reads the metadata
+     * @property {string} renamePattern the last pattern used to rename files
+     * @returns {object} the settings
+     */
+    _loadSettings() {
+        const settings = {
+            mapTiles: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+            leafletPath: '',
+            folderRecursive: true,
+            folderDepth: 3,
+            folderExtensions: [],
+            mapZoom: 8,
+            defaultGroup: '',
+            hiddenGroups: [],
+            windowWidth: 300,
+            windowHeight: 1000,
+            windowResizable: false,
+            transitionDuration: 700,
+            exiftoolPath: 'exiftool',
+            exiftoolArgs: [],
+            renamePattern: '{DateTimeOriginal:%Y%m%d_%H%M%S}_{Model}_{seq:3}.{ext}',
+        };
+        try {
+            const [, contents] = GLib.file_get_contents(this._getConfigPath('settings.json'));
+            return Object.assign(settings, JSON.parse(ByteArray.toString(contents)));
+        } catch (err) {
+            return settings;
+        }
+    }
+
+    /**
+     * @desc Method to write the user settings to settings.json in the
+     * configuration directory, creating the directory if needed.
+     * @external GLib
+     */
+    _saveSettings() {
+        const path = this._getConfigPath('settings.json');
+        GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o755);
+        GLib.file_set_contents(path, JSON.stringify(this.settings, null, 4));
+    }
+
+    /**
+     * @desc Initial public method that will run the application. If the --cli
+     * option is passed in the metadata is printed to standard out instead and
+     * no window is shown.
+     * @param {array} argv the command line arguments (the selected files)
      * @event activate
      * @event startup
      * @external Gtk.Application
      */
-    run() {
+    run(argv) {
+        if (argv.indexOf('--cli') !== -1) {
+            this._runCli(argv.filter(arg => arg !== '--cli'));
+            return;
+        }
+
+        this.files = argv;
         this.application = new Gtk.Application();
-        this.application.connect('activate', () => { this._onActivate(); });
+        this.application.connect('activate', () => { this.started.then(() => this._onActivate()); });
         this.application.connect('startup', () => { this._onStartup(); });
+        this.application.connect('shutdown', () => { this.runner.close(); });
         this.application.run([]);
     }
 
@@ -70,30 +566,400 @@ class Application {
      * @desc Method called via the activate event (called after startup)
      */
     _onActivate() {
-        /*this.window.connect('key_press_event', (actor, event) => {
-            const keyValue = event.get_keyval();
-            if (keyValue[1] === 65361) {
+        this.window.connect('key_press_event', (actor, event) => {
+            const [, keyValue] = event.get_keyval();
+            const focus = this.window.get_focus();
+            const sidebar = this._widgetGetRef('headerbar-sidebar');
+
+            if (keyValue === Gdk.KEY_F9 && this.files.length > 1) {
+                sidebar.set_active(!sidebar.get_active());
+                return true;
+            }
+            // leave the arrow and number keys to text entries and the map
+            if (focus instanceof Gtk.Entry || focus instanceof Gtk.TextView || focus instanceof WebKit2.WebView) {
+                return false;
+            }
+            const rating = [Gdk.KEY_0, Gdk.KEY_1, Gdk.KEY_2, Gdk.KEY_3, Gdk.KEY_4, Gdk.KEY_5].indexOf(keyValue);
+            const [, state] = event.get_state();
+            if (rating !== -1 && !(state & (Gdk.ModifierType.CONTROL_MASK | Gdk.ModifierType.MOD1_MASK))) {
+                this._setRating(rating);
+                return true;
+            }
+            if (keyValue === Gdk.KEY_Left) {
                 this._decreaseFileNumber();
+                return true;
             }
-            if (keyValue[1] === 65363) {
+            if (keyValue === Gdk.KEY_Right) {
                 this._increaseFileNumber();
+                return true;
             }
-        });*/
+            return false;
+        });
     }
 
     /**
      * @desc Method called via the startup event. From this method the initial
-     * UI is built and the file(s) metadata is parsed and stored for use
+     * UI is built and the file(s) metadata is parsed and stored for use. The
+     * selected folders are read first, holding the application as there is
+     * no window until then, and the started class variable resolves once the
+     * window has been built.
      */
     _onStartup() {
-        let commands = ARGV.map((arg) => (
-            [ 'exiftool', '-j', '-g', '-H', '-l', arg]
+        this.application.hold();
+        this.started = this._expandFolders(this.files)
+            .then((files) => {
+                this.files = files;
+                this._initMenus();
+                this._buildUI();
+                this._showApplication();
+                this.application.release();
+            });
+        this.started
+            .then(() => this._readFiles(this.files.map((path, i) => i), new Gio.Cancellable(), (fileNumber, json) => (
+                this._showReadFile(fileNumber, json)
+            )))
+            .then(data => this._removeCancelled(data))
+            .then(data => data && this._readLocations(this.files.map((path, i) => i))
+                .then(() => this._setMetadata(data)))
+            .catch(err => this._handleError(err));
+    }
+
+    /**
+     * @desc Method to drop the files that were not read because the user
+     * cancelled the reading, the application quits if none were read.
+     * @param {array} data the metadata of each file, undefined for a cancelled file
+     * @returns {array} the metadata of the files that were read
+     */
+    _removeCancelled(data) {
+        const read = data.map((output, i) => i).filter(i => data[i] !== undefined);
+        const fileErrors = {};
+        read.forEach((i, fileNumber) => {
+            if (this.fileErrors[i]) {
+                fileErrors[fileNumber] = this.fileErrors[i];
+            }
+        });
+        this.fileErrors = fileErrors;
+        this.files = read.map(i => this.files[i]);
+        if (!this.files.length) {
+            this._quit();
+            return undefined;
+        }
+        // the metadata that was already shown is numbered in the same way
+        if (this.metadata !== undefined) {
+            this.metadata = read.map(i => this.metadata[i]);
+            this.fileNumber = Math.max(0, read.indexOf(this.fileNumber));
+        }
+        return read.map(i => data[i]);
+    }
+
+    /**
+     * @desc Method to show the metadata of a file as soon as it has been read
+     * when the files are first read, rather than once every file has been.
+     * The window is built once the first file has been read (files read
+     * before it are kept until then), after that the current file is shown
+     * again if it is the one that was read, otherwise only its sidebar row
+     * is updated. The files not read yet have no metadata until they are.
+     * @param {number} fileNumber a number indicating which file was read
+     * @param {string} json the JSON metadata of the file
+     */
+    _showReadFile(fileNumber, json) {
+        if (this.metadata === undefined) {
+            this.streamedFiles = this.streamedFiles || [];
+            this.streamedFiles[fileNumber] = json;
+            if (fileNumber === this.fileNumber) {
+                this._setMetadata(this.files.map((path, i) => this.streamedFiles[i] || '[{}]'), undefined, true);
+                this.streamedFiles = undefined;
+            }
+            return;
+        }
+        this.metadata[fileNumber] = this._parseMetadata([json])[0];
+        this.keywordModel = undefined;
+        if (fileNumber === this.fileNumber) {
+            this._updateUI();
+        } else {
+            this._setSidebarBadges(fileNumber);
+        }
+    }
+
+    /**
+     * @desc Method to replace any folders in the selected paths with the
+     * files inside them, keeping a record of each folder in the folders
+     * class variable for the folder summary. A folder with no files to read
+     * (or cannot be read) is kept as it is, so that it is reported as a problem.
+     * @external GLib
+     * @constant GLib.FileTest.IS_DIR
+     * @param {array} paths the selected paths
+     * @returns {array} the promised paths of the files
+     */
+    _expandFolders(paths) {
+        this.folders = [];
+        return Promise.all(paths.map(path => (
+            GLib.file_test(path, GLib.FileTest.IS_DIR) ? this._getFolderFiles(path, 1).catch(() => []) : []
+        )))
+            .then(allFolderFiles => paths
+                .reduce((files, path, i) => {
+                    const folderFiles = allFolderFiles[i];
+                    if (folderFiles.length) {
+                        this.folders.push({ path, files: folderFiles });
+                        return files.concat(folderFiles);
+                    }
+                    return files.concat(path);
+                }, [])
+                .filter((path, i, files) => files.indexOf(path) === i));
+    }
+
+    /**
+     * @desc Method to list the files in a folder, in name order, filtered by
+     * the folderExtensions setting and going into sub folders if the
+     * folderRecursive setting is on, up to folderDepth levels. Hidden files,
+     * symbolic links and the _original backups written by exiftool are left out.
+     * A sub folder that cannot be read is listed as a file, so that it is
+     * reported as a problem.
+     * @param {string} path the path of the folder
+     * @param {number} depth the level of the folder, 1 for a selected folder
+     * @returns {array} the promised paths of the files
+     */
+    _getFolderFiles(path, depth) {
+        const maxDepth = this.settings.folderRecursive ? this.settings.folderDepth : 1;
+        const extensions = this.settings.folderExtensions.map(extension => (
+            extension.toLowerCase().replace(/^\./, '')
+        ));
+
+        return this._getFolderInfos(path)
+            .then(infos => Promise.all(infos
+                .filter(item => !item.get_is_hidden())
+                .sort((a, b) => a.get_name().localeCompare(b.get_name(), undefined, { numeric: true }))
+                .map((item) => {
+                    const name = item.get_name();
+                    const child = GLib.build_filenamev([path, name]);
+                    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+                    if (item.get_file_type() === Gio.FileType.DIRECTORY) {
+                        return (!maxDepth || depth < maxDepth) ?
+                            this._getFolderFiles(child, depth + 1).catch(() => [child]) : [];
+                    }
+                    if (item.get_file_type() === Gio.FileType.REGULAR && !name.endsWith('_original') &&
+                        (!extensions.length || extensions.indexOf(extension) !== -1)) {
+                        return [child];
+                    }
+                    return [];
+                })))
+            .then(allFiles => allFiles.reduce((files, childFiles) => files.concat(childFiles), []));
+    }
+
+    /**
+     * @desc Method to list the files and folders in a folder asynchronously,
+     * so that the window is not blocked while a large folder is read.
+     * @external Gio.File
+     * @constant Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS
+     * @constant GLib.PRIORITY_LOW
+     * @param {string} path the path of the folder
+     * @returns {array} a promised array of Gio.FileInfo
+     */
+    _getFolderInfos(path) {
+        const folder = Gio.File.new_for_path(path);
+        const infos = [];
+
+        return new Promise((resolve, reject) => {
+            folder.enumerate_children_async('standard::name,standard::type,standard::is-hidden',
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, GLib.PRIORITY_LOW, null, (source, res) => {
+                    let enumerator;
+                    try {
+                        enumerator = folder.enumerate_children_finish(res);
+                    } catch (err) {
+                        reject(err);
+                        return;
+                    }
+                    const next = () => {
+                        enumerator.next_files_async(100, GLib.PRIORITY_LOW, null, (src, result) => {
+                            let batch;
+                            try {
+                                batch = enumerator.next_files_finish(result);
+                            } catch (err) {
+                                enumerator.close(null);
+                                reject(err);
+                                return;
+                            }
+                            if (!batch.length) {
+                                enumerator.close(null);
+                                resolve(infos);
+                                return;
+                            }
+                            batch.forEach(info => infos.push(info));
+                            next();
+                        });
+                    };
+                    next();
+                });
+        });
+    }
+
+    /**
+     * @desc Method to read the metadata of some of the files, keeping a
+     * problem in fileErrors for any file that could not be read or that
+     * exiftool warned about. Folders, missing files and files that cannot be
+     * read are found before exiftool is run. A file that fails is given
+     * empty metadata so that the other files are still shown.
+     * @param {array} fileNumbers the numbers of the files to read
+     * @param {object} cancellable an optional Gio.Cancellable
+     * @param {function} onFile optionally called with the file number and JSON metadata of each file as it is read
+     * @returns {array} a promised array of JSON metadata, undefined for a cancelled file
+     */
+    _readFiles(fileNumbers, cancellable, onFile) {
+        const problems = fileNumbers.map(fileNumber => this._getFileAccessError(this.files[fileNumber]));
+        const read = fileNumbers.filter((fileNumber, i) => !problems[i]);
+        const commands = read.map(fileNumber => this._getReadCommand(this.files[fileNumber]));
+        const data = fileNumbers.map((fileNumber, i) => (
+            problems[i] ? this._setFileOutput(fileNumber, undefined, problems[i]) : undefined
         ));
-        this._initMenus();
-        this._buildUI();
-        this._runCommand(commands)
-            .then(data => this._checkForEmpty(data))
-            .then(data => this._setMetadata(data));
+
+        if (onFile) {
+            fileNumbers.filter((fileNumber, i) => problems[i]).forEach(fileNumber => onFile(fileNumber, '[{}]'));
+        }
+        return this._runCommands(commands, cancellable, true, (i, output) => {
+            const json = this._setFileOutput(read[i], output);
+            data[fileNumbers.indexOf(read[i])] = json;
+            if (onFile && json !== undefined) {
+                onFile(read[i], json);
+            }
+        }).then(() => data);
+    }
+
+    /**
+     * @desc Method to keep the problem of a file that was read (or not) in
+     * fileErrors and return its metadata.
+     * @param {number} fileNumber a number indicating which file was read
+     * @param {(object | undefined)} output the output of exiftool, an error or undefined if it was cancelled
+     * @param {(object | undefined)} access the problem found before exiftool was run
+     * @returns {(string | undefined)} the JSON metadata, undefined if the file was cancelled
+     */
+    _setFileOutput(fileNumber, output, access) {
+        let problem = access;
+        if (!problem) {
+            if (output instanceof Error || output instanceof GLib.Error) {
+                problem = { type: 'unreadable', message: this._getErrorMessage(output), warnings: [] };
+            } else if (output) {
+                problem = this._getFileError(output);
+            }
+        }
+
+        if (problem) {
+            this.fileErrors[fileNumber] = problem;
+        } else {
+            delete this.fileErrors[fileNumber];
+        }
+        if (output === undefined && !problem) {
+            return undefined; // cancelled
+        }
+        return output && output.stdout && (!problem || problem.type === 'warning' || problem.metadata) ?
+            output.stdout : '[{}]';
+    }
+
+    /**
+     * @desc Method to check that a path is a file that can be read before it
+     * is given to exiftool.
+     * @external Gio.File
+     * @constant Gio.FileType.DIRECTORY
+     * @param {string} path the path of the file
+     * @returns {(object | undefined)} the problem with the file or undefined if it can be read
+     */
+    _getFileAccessError(path) {
+        let info;
+        try {
+            info = Gio.File.new_for_path(path).query_info(
+                'standard::type,access::can-read', Gio.FileQueryInfoFlags.NONE, null);
+        } catch (err) {
+            if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return { type: 'missing', message: `${path} does not exist`, warnings: [] };
+            }
+            if (err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.PERMISSION_DENIED)) {
+                return { type: 'permission', message: `You do not have permission to read ${path}`, warnings: [] };
+            }
+            return { type: 'unreadable', message: err.message, warnings: [] };
+        }
+
+        if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+            return { type: 'folder', message: `${path} has no files to read with the folder settings`, warnings: [] };
+        }
+        if (info.has_attribute('access::can-read') && !info.get_attribute_boolean('access::can-read')) {
+            return { type: 'permission', message: `You do not have permission to read ${path}`, warnings: [] };
+        }
+        return undefined;
+    }
+
+    /**
+     * @desc Method to find the problem with a file from the output of the
+     * exiftool read command: the ExifTool Error and Warning tags in the JSON,
+     * the Error and Warning lines on standard error and the exit status.
+     * Only warnings means the metadata is still shown.
+     * @param {object} output the stdout, stderr and status of the command
+     * @returns {(object | undefined)} the type, message and warnings or undefined if there was no problem
+     */
+    _getFileError(output) {
+        let metadata;
+        try {
+            metadata = JSON.parse(output.stdout)[0];
+        } catch (err) {
+            metadata = undefined;
+        }
+
+        const tags = (metadata && metadata.ExifTool) || {};
+        const lines = output.stderr.split('\n').filter(line => line);
+        const stderrError = lines.find(line => line.startsWith('Error'));
+        const warnings = lines
+            .filter(line => line.startsWith('Warning'))
+            .map(line => line.replace(/^Warning:?\s*/, ''))
+            .concat(tags.Warning ? [String(tags.Warning.val)] : [])
+            .filter((warning, i, all) => all.indexOf(warning) === i);
+        let message = tags.Error ? String(tags.Error.val) : undefined;
+
+        if (!message && stderrError) {
+            message = stderrError.replace(/^Error:?\s*/, '');
+        }
+        if (!message && !metadata) {
+            message = lines.join('\n') || `exiftool exited with status ${output.status}`;
+        }
+        if (!message) {
+            return warnings.length ? { type: 'warning', message: '', warnings } : undefined;
+        }
+
+        let type = 'unreadable';
+        if (/unknown file type|unsupported|not supported/i.test(message)) {
+            type = 'unsupported';
+        } else if (/permission denied/i.test(message)) {
+            type = 'permission';
+        } else if (/file not found/i.test(message)) {
+            type = 'missing';
+        }
+        return { type, message, warnings, metadata: metadata !== undefined };
+    }
+
+    /**
+     * @desc Method to return the message to show for an error, a program
+     * that could not be found is reported as exiftool not being installed.
+     * @external GLib.SpawnError
+     * @param {(object || string)} err an error object or string
+     * @returns {string} the message
+     */
+    _getErrorMessage(err) {
+        if (typeof err === 'string') {
+            return err;
+        }
+        if (err instanceof GLib.Error && err.matches(GLib.SpawnError, GLib.SpawnError.NOENT)) {
+            return 'Please install exiftool';
+        }
+        return err.message || err.toString();
+    }
+
+    /**
+     * @desc Method to return the exiftool command used to read the metadata
+     * of a single file. The tags are grouped by family 0 (-g) and each tag
+     * name is prefixed with its family 1 group (-G1), eg. EXIF: IFD0:Make.
+     * The exiftoolArgs setting is added before the path.
+     * @param {string} path the path of the file to read
+     * @returns {array} an array of argument strings to spawn the command
+     */
+    _getReadCommand(path) {
+        return [ 'exiftool', '-j', '-g', '-G1', '-H', '-l'].concat(this.settings.exiftoolArgs, path);
     }
 
     /**
@@ -137,6 +1003,7 @@ class Application {
      * @property {string} options.properties.name a string containing a unique name for the widget
      * @property {object} options.connect an object containing the signal functions for the widget
      * @property {(boolean | undefined)} options.hide setting to show or hide the widget
+     * @property {(object | undefined)} options.construct construct only properties for the widget
      * @external Gtk.WebKit2 used to construct a webview
      * @external Gtk [All Widget Types]
      * @returns {object} Gtk widget
@@ -145,10 +1012,10 @@ class Application {
         let widget;
         switch (options.type) {
         case 'WebView': 
-            widget = new WebKit2.WebView();
+            widget = new WebKit2.WebView(options.construct);
             break;
         default:
-            widget =  new Gtk[options.type];
+            widget =  new Gtk[options.type](options.construct);
             break;
         }
 
@@ -171,15 +1038,17 @@ class Application {
      * function passes in two arguments. First is the widget that is connected
      * to the signal and the other is the actual event information. The third
      * argument is a reference to this (the application class), that can be used
-     * within the connected function to oerform operations on the class.
+     * within the connected function to oerform operations on the class. The
+     * value returned by the function is returned to the signal (eg. true to
+     * stop a key press from being handled any further).
      * @param {object} widget a reference to a Gtk Widget
      * @param {object} connects an object with the coresponding connect events
      */
     _widgetSetConnect(widget, connects) {
         Object.keys(connects).forEach((key) => {
-            widget.connect(key, (wgt, evt) => {
-                connects[key](wgt, evt, this);
-            });
+            widget.connect(key, (wgt, evt) => (
+                connects[key](wgt, evt, this)
+            ));
         });
     }
 
@@ -242,6 +1111,9 @@ class Application {
                 case 'load_uri':
                     widget.load_uri(properties[property]);
                     break;
+                case 'load_html':
+                    widget.load_html(properties[property][0], properties[property][1]);
+                    break;
                 case 'run_javascript':
                     widget.run_javascript(
                         properties[property][0],
@@ -300,33 +1172,28 @@ class Application {
             });
         };
 
-        if (typeof err !== 'string' && err.toString().includes('No such file or directory')) {
-            dialog('Please install exiftool');
-        } else {
-            dialog(err);
-        }
+        dialog(this._getErrorMessage(err));
     }
 
     /**
-     * @desc Method to test the inputed data object to see if it contains data
-     * that is formated in JSON as expected fromt the exiftool command. If not
-     * then the user must have tried to get metadata on a folder and we then
-     * display a dialog stating that we cant get metadata on folders.
-     * @param {array} data an array of strings formated in JSON
-     * @returns {array} the same data after performing a test of JSON.parse test on it
+     * @desc Method to display a message dialog to the user that, unlike
+     * _handleError, does not quit the application when it is closed.
+     * @param {string} message the message to display
      */
-    _checkForEmpty(data) {
-        try {
-            if (data.length === 1 ) {
-                JSON.parse(data);
-                this._showApplication();
-            } else {
-                this._showApplication();
+    _showMessage(message) {
+        this._createDialog({
+            name: 'dialog-message',
+            modal: true,
+            title: 'Metadata Dialog',
+            message,
+            show: true,
+            button: {
+                label: 'OK',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
             }
-            return data;
-        } catch (err) {
-            this._handleError('Unable to provide metadata for folders...');
-        }
+        });
     }
 
     /**
@@ -336,52 +1203,171 @@ class Application {
      * and pass the output back to standard out, where it is captured and stored
      * in an array. The results of the command are return in a promise as this
      * is an async operation.
-     * @external GLib
-     * @external Gio.DataInputStream
-     * @external Gio.UnixInputStream
-     * @constant GLib.SpawnFlags.SEARCH_PATH
-     * @constant GLib.PRIORITY_LOW
      * @param {array} commands an array of argument strings to spawn the command
+     * @param {object} cancellable an optional Gio.Cancellable to stop the commands that have not finished
      * @returns {array} a promised array of metadata for each file passed in
      */
-    _runCommand(commands) {
-        let promises = [];
-        const spawn = (path, command, func) => {
-            let res, pid, stdin, stdout, stderr, stream;
+    _runCommand(commands, cancellable) {
+        return this._runCommands(commands, cancellable)
+            .then(outputs => outputs.map(output => output && output.stdout));
+    }
+
+    /**
+     * @desc Method to run an array of commands and return the whole output
+     * of each (stdout, stderr and exit status). The progress bar is moved on
+     * as each command finishes, and a command that is cancelled gives
+     * undefined. If a command fails the promise is rejected, unless settle is
+     * set, in which case the error is returned in its place. A missing
+     * exiftool always rejects the promise.
+     * @param {array} commands an array of argument strings to spawn the command
+     * @param {object} cancellable an optional Gio.Cancellable to stop the commands that have not finished
+     * @param {boolean} settle whether to return errors rather than reject
+     * @param {function} onOutput optionally called with the index and output of each command as it finishes
+     * @returns {array} a promised array of the output of each command
+     */
+    _runCommands(commands, cancellable, settle, onOutput) {
+        let done = 0;
+        this._setProgress(done, commands.length, cancellable);
+        return Promise.all(commands.map((command, i) => (
+            this._spawn(command, false, cancellable)
+                .catch((err) => {
+                    if (err instanceof GLib.Error && err.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                        return undefined;
+                    }
+                    if (!settle || (err instanceof GLib.Error && err.matches(GLib.SpawnError, GLib.SpawnError.NOENT))) {
+                        throw err;
+                    }
+                    return err;
+                })
+                .then((output) => {
+                    this._setProgress(++done, commands.length, cancellable);
+                    if (onOutput) {
+                        onOutput(i, output);
+                    }
+                    return output;
+                })
+        )));
+    }
+
+    /**
+     * @desc Method to show how many of the commands have finished in the
+     * progress bar at the bottom of the window. The bar is only shown while
+     * more than one command is running, and the button to stop them only if
+     * they can be cancelled, with the cancellable kept in the cancellable
+     * class variable for the button.
+     * @param {number} done the number of finished commands
+     * @param {number} total the number of commands
+     * @param {object} cancellable the Gio.Cancellable of the commands, if they can be cancelled
+     */
+    _setProgress(done, total, cancellable) {
+        const grid = this._widgetGetRef('progress-grid');
+        const progress = this._widgetGetRef('progress-bar');
+        const cancel = this._widgetGetRef('progress-cancel');
+        if (!grid) {
+            return;
+        }
+        if (total < 2 || done >= total) {
+            if (this.cancellable === cancellable) {
+                this.cancellable = undefined;
+            }
+            grid.hide();
+            return;
+        }
+        this.cancellable = cancellable;
+        progress.set_fraction(done / total);
+        progress.set_text(`${done} of ${total} files`);
+        cancel.set_visible(cancellable !== undefined);
+        grid.show();
+    }
+
+    /**
+     * @desc Method to spawn a single command and capture both its standard
+     * out and standard error. The promise is rejected if the command could
+     * not be spawned at all (eg. the program is not installed). Exiftool
+     * commands are run by the persistent exiftool processes instead.
+     * @external GLib
+     * @constant GLib.SpawnFlags.SEARCH_PATH
+     * @param {array} command an array of argument strings to spawn the command
+     * @param {boolean} binary whether to read standard out as bytes (eg. with exiftool -b)
+     * @param {object} cancellable an optional Gio.Cancellable for exiftool commands
+     * @returns {object} a promised object with the stdout (string or Uint8Array) and stderr strings
+     */
+    _spawn(command, binary, cancellable) {
+        if (command[0] === 'exiftool') {
+            return this.runner.run(command.slice(1), { binary, cancellable });
+        }
+        return new Promise((resolve, reject) => {
+            let stdout, stderr;
             try {
-                [res, pid, stdin, stdout, stderr] = GLib.spawn_async_with_pipes(
-                    path, command, null, GLib.SpawnFlags.SEARCH_PATH, null);
+                [, , , stdout, stderr] = GLib.spawn_async_with_pipes(
+                    './', command, null, GLib.SpawnFlags.SEARCH_PATH, null);
             } catch (err) {
-                this._handleError(err);
+                reject(err);
+                return;
             }
-            stream = new Gio.DataInputStream({
-                base_stream : new Gio.UnixInputStream({ fd : stdout })
-            });
-            read(stream, func);
-        };
+            Promise.all([binary ? this._readBytes(stdout) : this._readStream(stdout), this._readStream(stderr)])
+                .then(output => resolve({ stdout: output[0], stderr: output[1] }));
+        });
+    }
 
-        const read = (stream, func) => {
-            const callback = (source, res) => {
-                let [out, length] = source.read_line_finish(res);
-                if (out !== null) {
-                    func(out);
-                    read(source, func);
-                } else {
-                    func(out);
-                }
+    /**
+     * @desc Method to read a file descriptor as bytes until it is closed.
+     * @external Gio.UnixInputStream
+     * @constant GLib.PRIORITY_LOW
+     * @param {number} fd the file descriptor returned from the spawned command
+     * @returns {Uint8Array} a promised array of everything read from the stream
+     */
+    _readBytes(fd) {
+        const stream = new Gio.UnixInputStream({ fd, close_fd: true });
+        const chunks = [];
+        return new Promise((resolve) => {
+            const read = () => {
+                stream.read_bytes_async(65536, GLib.PRIORITY_LOW, null, (source, res) => {
+                    const bytes = source.read_bytes_finish(res);
+                    if (bytes.get_size()) {
+                        chunks.push(ByteArray.fromGBytes(bytes));
+                        read();
+                    } else {
+                        const data = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+                        chunks.reduce((offset, chunk) => {
+                            data.set(chunk, offset);
+                            return offset + chunk.length;
+                        }, 0);
+                        resolve(data);
+                    }
+                });
             };
-            stream.read_line_async(GLib.PRIORITY_LOW, null, callback);
-        };
+            read();
+        });
+    }
 
-        commands.forEach((command) => {
+    /**
+     * @desc Method to read a file descriptor line by line until it is closed.
+     * @external Gio.DataInputStream
+     * @external Gio.UnixInputStream
+     * @constant GLib.PRIORITY_LOW
+     * @param {number} fd the file descriptor returned from the spawned command
+     * @returns {string} a promised string of everything read from the stream
+     */
+    _readStream(fd) {
+        const stream = new Gio.DataInputStream({
+            base_stream : new Gio.UnixInputStream({ fd, close_fd: true })
+        });
+        return new Promise((resolve) => {
             let data = '';
-            promises.push(new Promise(function(resolve, reject) {
-                spawn('./', command, (res) => {
-                    !res ? resolve(data) : data += ByteArray.toString(res);
+            const read = () => {
+                stream.read_line_async(GLib.PRIORITY_LOW, null, (source, res) => {
+                    const [out] = source.read_line_finish(res);
+                    if (out !== null) {
+                        data += `${ByteArray.toString(out)}\n`;
+                        read();
+                    } else {
+                        resolve(data);
+                    }
                 });
-            }));
+            };
+            read();
         });
-        return Promise.all(promises);
     }
 
     /**
@@ -389,12 +1375,14 @@ class Application {
      * for the individual files from exiftool and parses that data to remove
      * the SourceFile and ExifTool keys. It then foramts that data into an array of
      * metadat keys and values based on the desc and val keys of the raw ExifTool
-     * metadata. The data is then stored in the class varaible metadata.
+     * metadata, keeping the tag name so that the value can be written back,
+     * the num (-n) value and ID of the tag for the raw value view and the
+     * family 1 group of the tag for the group tree.
      * @param {array} metadataArray an array of JSON stringified metadata
+     * @returns {array} an array of the grouped metadata for each file
      */
-    _setMetadata(metadataArray) {
+    _parseMetadata(metadataArray) {
         const allMetadata = [];
-        const init = true;
         metadataArray
             .map((metadata) =>(
                 JSON.parse(metadata)[0]
@@ -405,9 +1393,17 @@ class Application {
                     if (key1 !== 'SourceFile' && key1 !== 'ExifTool') {
                         output[key1] = Object.keys(metadata[key1])
                             .map((key2) => {
+                                const [group1, name] = key2.includes(':') ? key2.split(':') : [key1, key2];
                                 let keep;
                                 if (metadata[key1][key2] && metadata[key1][key2].val) {
-                                    keep = [metadata[key1][key2].desc, metadata[key1][key2].val];
+                                    keep = [
+                                        metadata[key1][key2].desc,
+                                        metadata[key1][key2].val,
+                                        name,
+                                        metadata[key1][key2].num,
+                                        metadata[key1][key2].id,
+                                        group1,
+                                    ];
                                 }
                                 return keep;
                             })
@@ -416,8 +1412,116 @@ class Application {
                 });
                 allMetadata.push(output);
             });
-        this.metadata = allMetadata;
+        return allMetadata;
+    }
+
+    /**
+     * @desc Method to parse the array of JSON strings from exiftool with
+     * _parseMetadata and store the data in the class varaible metadata. If a
+     * fileNumber is passed in then only the metadata for that file is replaced
+     * (eg. after saving). The UI is only built from scratch on the first call,
+     * after that it is re-rendered. The actions that work on the metadata of
+     * the files are enabled once every file has been read.
+     * @param {array} metadataArray an array of JSON stringified metadata
+     * @param {(number | undefined)} fileNumber the file to replace the metadata for
+     * @param {boolean} partial true when the other files are still being read
+     */
+    _setMetadata(metadataArray, fileNumber, partial) {
+        const init = this.metadata === undefined;
+        const allMetadata = this._parseMetadata(metadataArray);
+
+        if (fileNumber === undefined) {
+            this.metadata = allMetadata;
+            this.images = {};
+        } else {
+            this.metadata[fileNumber] = allMetadata[0];
+            Object.keys(this.images)
+                .filter(key => key.startsWith(`${fileNumber}:`))
+                .forEach(key => delete this.images[key]);
+        }
+        this.keywordModel = undefined;
         this._updateUI(init);
+
+        if (!partial) {
+            ['geotag', 'privacy', 'template', 'shift-dates', 'rename', 'export'].forEach((name) => {
+                this.application.lookup_action(name).set_enabled(true);
+            });
+            ['batch-edit', 'compare'].forEach((name) => {
+                this.application.lookup_action(name).set_enabled(this.files.length > 1);
+            });
+        }
+    }
+
+    /**
+     * @desc Method to run the application without a window, printing the
+     * metadata of the files to standard out in the chosen format. The same
+     * exiftool command and parsing is used as for the UI. The process exits
+     * with 0 if every file was read, 1 if any file could not be read and 2
+     * if the options were not valid.
+     * @param {array} argv the command line arguments without --cli
+     * @external GLib.MainLoop
+     */
+    _runCli(argv) {
+        const options = Cli.parseArgs(argv);
+        const loop = new GLib.MainLoop(null, false);
+        let status = 0;
+
+        if (options.help) {
+            print(Cli.getUsage());
+            System.exit(0);
+        }
+
+        (options.valid ? this._expandFolders(options.paths) : Promise.resolve([]))
+            .then((files) => {
+                this.files = files;
+                if (!this.files.length) {
+                    printerr(Cli.getUsage());
+                    System.exit(2);
+                }
+                return this._readFiles(this.files.map((path, i) => i));
+            })
+            .then((data) => {
+                const problems = this.files.map((path, i) => this.fileErrors[i]);
+                const files = [];
+                data.forEach((metadata, i) => {
+                    const problem = problems[i];
+                    if (problem) {
+                        problem.warnings.forEach(warning => printerr(`${this.files[i]}: Warning: ${warning}`));
+                    }
+                    if (problem && problem.type !== 'warning') {
+                        printerr(`${this.files[i]}: ${problem.message}`);
+                        return;
+                    }
+                    files.push({
+                        path: this.files[i],
+                        output: Cli.filterGroup(this._parseMetadata([metadata])[0], options.group),
+                    });
+                });
+                print(Cli.getOutput(options.format, files));
+                status = Cli.getStatus(problems);
+            })
+            .catch((err) => {
+                printerr(this._getErrorMessage(err));
+                status = 1;
+            })
+            .then(() => loop.quit());
+
+        loop.run();
+        this.runner.close();
+        System.exit(status);
+    }
+
+    /**
+     * @desc Method to return the path and metadata of files in the form the
+     * Cli formats take.
+     * @param {array} fileNumbers an array of the files
+     * @returns {array} an array of { path, output } for each file
+     */
+    _getCliFiles(fileNumbers) {
+        return fileNumbers.map(fileNumber => ({
+            path: this.files[fileNumber],
+            output: this._getMetadata(fileNumber),
+        }));
     }
 
     /**
@@ -436,7 +1540,7 @@ class Application {
      * the increase the UI is updated to reflect this change.
      */
     _increaseFileNumber() {
-        if (this.fileNumber < ARGV.length -1) {
+        if (this.fileNumber < this.files.length -1) {
             this.fileNumber++;
             this._updateUI();
         }
@@ -457,374 +1561,4527 @@ class Application {
     }
 
     /**
-     * @desc Takes an input of GPS data in degrees, minutes and seconds and
-     * returns this value formated into decimal degrees. Decimal degrees are
-     * required to format the URL string to display the file location on a map.
-     * @param {string} input
-     * @returns {string} inputed string formated to decimal degrees
+     * @desc Method to return the object of unsaved edits for a file, keyed by
+     * the Group:Tag name the value will be written to.
+     * @param {number} fileNumber a number indicating which file edits to return
+     * @returns {object} the unsaved edits for the file
      */
-    _parseLatLong(input) {
-        if (input.indexOf('N') === -1 && input.indexOf('S') === -1 &&
-            input.indexOf('W') === -1 && input.indexOf('E') === -1) {
-            return input.split(',');
+    _getEdits(fileNumber) {
+        if (!this.edits[fileNumber]) {
+            this.edits[fileNumber] = {};
         }
-        let parts = input.split(/[°'"]+/).join(' ').split(/[^\w\S]+/);
-        let directions = [];
-        let coords = [];
-        let dd = 0;
-        let pow = 0;
-        let i;
+        return this.edits[fileNumber];
+    }
 
-        for( i in parts ) {
-            // we end on a direction
-            if (isNaN(parts[i])) {
-                let _float = parseFloat( parts[i] );
-                let direction = parts[i];
+    /**
+     * @desc Method to store an edited value for the current file. If the value
+     * is changed back to the original value the edit is removed again.
+     * @param {string} tag the Group:Tag name the value will be written to
+     * @param {(string | array)} value the value from the edited entry, or the items of a list
+     * @param {(string | array)} original the value currently stored in the file
+     */
+    _setEdit(tag, value, original) {
+        const edits = this._getEdits(this.fileNumber);
+        if (JSON.stringify(value) === JSON.stringify(original)) {
+            delete edits[tag];
+        } else {
+            edits[tag] = value;
+        }
+        this._updateSaveAction();
+        this._setSidebarBadges(this.fileNumber);
+    }
 
-                if(!isNaN(_float)) {
-                    dd += (_float / Math.pow( 60, pow++));
-                    direction = parts[i].replace( _float, '' );
-                }
+    /**
+     * @desc Method to enable the save action only when the current file has
+     * unsaved edits.
+     * @external Gio.SimpleAction
+     */
+    _updateSaveAction() {
+        const edits = this._getEdits(this.fileNumber);
+        this.application.lookup_action('save').set_enabled(Object.keys(edits).length > 0);
+    }
 
-                direction = direction[0];
-                if(direction === 'S' || direction === 'W')
-                    dd *= -1;
+    /**
+     * @desc Method to write the edited metadata of the current file back to the
+     * file with exiftool. Each edit is passed as a -Group:Tag=value argument (a
+     * list as one argument for each item, so an item can hold a comma) and
+     * any warning exiftool gives for a tag is stored against that tag so it can
+     * be shown next to the field. Edited keywords are written to the other
+     * keyword tags too with _syncKeywords. Edits that were accepted are cleared
+     * and the metadata is then re-read so the UI shows the values as stored in
+     * the file.
+     */
+    _saveMetadata() {
+        const fileNumber = this.fileNumber;
+        const path = this.files[fileNumber];
+        const edits = this._getEdits(fileNumber);
+        const tags = Object.keys(edits);
+        const values = {};
 
-                directions[ directions.length ] = direction;
-                coords[ coords.length ] = dd;
-                dd = pow = 0;
+        if (!tags.length) {
+            return;
+        }
 
+        tags.forEach((tag) => {
+            if (this._isKeywordTag(tag)) {
+                Object.assign(values, this._syncKeywords(fileNumber, tag, [].concat(edits[tag]), values));
             } else {
-                dd += (parseFloat(parts[i]) / Math.pow( 60, pow++));
+                values[tag] = edits[tag];
             }
+        });
+        const command = ['exiftool']
+            .concat(...Object.keys(values).map(tag => (
+                Array.isArray(values[tag]) && values[tag].length ?
+                    values[tag].map(value => `-${tag}=${value}`) : [`-${tag}=${values[tag]}`]
+            )))
+            .concat(path);
+        const snapshot = this._getSnapshot([fileNumber]);
+
+        this._spawn(command)
+            .then((output) => {
+                const errors = this._getWriteErrors(output.stderr, tags.concat(Object.keys(values)));
+                this.writeErrors[fileNumber] = errors.tags;
+                tags.forEach((tag) => {
+                    if (!errors.tags[tag]) {
+                        delete edits[tag];
+                    }
+                });
+                if (errors.file.length) {
+                    this._showMessage(errors.file.join('\n'));
+                }
+                return this._readFiles([fileNumber]);
+            })
+            .then(data => this._readLocations([fileNumber]).then(() => this._setMetadata(data, fileNumber)))
+            .then(() => this._logChanges(snapshot))
+            .catch(err => this._showMessage(err.toString()));
+    }
+
+    /**
+     * @desc Method to match the warnings and errors that exiftool writes to
+     * standard error against the tags that were written. Any message that
+     * does not mention one of the tags, but is an error, applies to the file.
+     * @param {string} stderr the standard error output from exiftool
+     * @param {array} tags an array of the Group:Tag names that were written
+     * @returns {object} an object of tag messages and an array of file errors
+     */
+    _getWriteErrors(stderr, tags) {
+        const errors = { tags: {}, file: [] };
+        stderr.split('\n')
+            .filter(line => /^(Warning|Error)/.test(line))
+            .forEach((line) => {
+                const message = line.replace(/^(Warning|Error):?\s*/, '');
+                const tag = tags.find(tag => (
+                    new RegExp(`[\\s:]${tag.split(':')[1].replace(/#$/, '')}\\b`).test(line)
+                ));
+                if (tag) {
+                    errors.tags[tag] = message;
+                } else if (line.startsWith('Error')) {
+                    errors.file.push(message);
+                }
+            });
+        return errors;
+    }
+
+    /**
+     * @desc Method to re-read the metadata of every selected file with exiftool
+     * and re-render the UI, used after writing to more than one file.
+     */
+    _reloadMetadata() {
+        return this._readFiles(this.files.map((path, i) => i))
+            .then(data => this._readLocations(this.files.map((path, i) => i))
+                .then(() => this._setMetadata(data)));
+    }
+
+    /**
+     * @desc Method to load the change log from changes.json in the
+     * configuration directory. Each entry is one tag written to one file:
+     * { id, time, file, tag, from, to, raw, undone }, where the id is shared by
+     * every entry of the same write and raw is the value to write back to undo
+     * it. Restoring the original file adds an entry with restore set instead.
+     * @returns {array} the entries, oldest first
+     */
+    _loadChangeLog() {
+        try {
+            const [, contents] = GLib.file_get_contents(this._getConfigPath('changes.json'));
+            const changeLog = JSON.parse(ByteArray.toString(contents));
+            return Array.isArray(changeLog) ? changeLog : [];
+        } catch (err) {
+            return [];
         }
+    }
 
-        if( directions[0] === 'W' || directions[0] === 'E' ) {
-            let tmp = coords[0];
-            coords[0] = coords[1];
-            coords[1] = tmp;
+    /**
+     * @desc Method to write the change log to changes.json, dropping the
+     * oldest entries once there are more than CHANGE_LOG_SIZE.
+     */
+    _saveChangeLog() {
+        const path = this._getConfigPath('changes.json');
+        this.changeLog = this.changeLog.slice(-this.CHANGE_LOG_SIZE);
+        try {
+            GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o755);
+            GLib.file_set_contents(path, JSON.stringify(this.changeLog, null, 1));
+        } catch (err) {
+            this._showMessage(`Unable to save the history of changes: ${err.message}`);
         }
-        return coords;
     }
 
     /**
-     * @desc Creates a url string formated for openstreetmap based on a
-     * the latitude and longitiude properties supplied in the object gspData
-     * @param {object} gpsData
-     * @property {string} gpdData.latitude      value in degrees, minutes and seconds
-     * @property {string} gpsData.latitudeRef   (either East or West)
-     * @property {string} gpsData.longitude     value in degrees, minutes and seconds
-     * @property {string} gpsData.longitudeRef  (either North or South)
-     * @returns {string} url formated string to display openstreetmap of location
+     * @desc Method to keep the metadata of files as it is before they are
+     * written, so that _logChanges can compare it with the metadata read
+     * after the write.
+     * @param {array} fileNumbers an array of the files that will be written
+     * @returns {array} an array of { fileNumber, file, metadata }
      */
-    _getMapUri(gpsData) {
-        let gpsLat = `${gpsData.latitude} ${gpsData.latitudeRef}`;
-        let gpsLong = `${gpsData.longitude} ${gpsData.longitudeRef}`;
-        let location = this._parseLatLong(`${gpsLat} ${gpsLong}`);
-        return `https://www.openstreetmap.org/?mlat=${location[0]}&mlon=${location[1]}&zoom=8`;
+    _getSnapshot(fileNumbers) {
+        return fileNumbers.map(fileNumber => ({
+            fileNumber,
+            file: this.files[fileNumber],
+            metadata: this._getMetadata(fileNumber),
+        }));
     }
 
     /**
-     * @desc Uses the supplied mime type to return a string created in the
-     * name of a standard Gtk icon_name
-     * @param {string} mime a corectly formated mime type
-     * @returns {string} Gtk icon_name
+     * @desc Method to return the writable tags of a file's metadata by
+     * family 1 Group:Tag name. The File, Composite and ExifTool groups are
+     * left out as they are not stored in the file (or change on every write),
+     * and so is binary data.
+     * @param {object} output the metadata of a file
+     * @returns {object} { value, raw } for each Group:Tag name
      */
-    _getFromMIMEType(mime) {
-        if(mime.split('/')[0] === 'image') {
-            return 'image-x-generic';
-        } else if (mime.split('/')[0] === 'audio') {
-            return 'audio-x-generic';
-        } else if (mime.split('/')[0] === 'audio') {
-            return 'video-x-generic';
-        } else if (mime.split('/')[0] === 'application') {
-            return `application-x-${mime.split('/')[1]}`;
-        } else {
-            return 'text-x-generic';
+    _getLoggedTags(output) {
+        const tags = {};
+        Object.keys(output || {})
+            .filter(group => ['File', 'Composite', 'ExifTool'].indexOf(group) === -1)
+            .forEach((group) => {
+                output[group]
+                    .filter(item => !/^\(Binary data/.test(item[1].toString()))
+                    .forEach((item) => {
+                        tags[`${item[5]}:${item[2]}`] = {
+                            value: item[1].toString(),
+                            raw: item[3] === undefined ? item[1] : item[3],
+                        };
+                    });
+            });
+        return tags;
+    }
+
+    /**
+     * @desc Method to add an entry to the change log for every tag that is
+     * different in the metadata read after a write than in the snapshot taken
+     * before it, and enable the undo action.
+     * @param {array} snapshot the array returned from _getSnapshot before the write
+     */
+    _logChanges(snapshot) {
+        const id = this.changeLog.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+        const time = GLib.DateTime.new_now_local().format('%F %T');
+        let count = 0;
+
+        snapshot
+            // a file that could not be read again would look like every tag was removed
+            .filter(file => !this.fileErrors[file.fileNumber] || this.fileErrors[file.fileNumber].type === 'warning')
+            .forEach((file) => {
+                const before = this._getLoggedTags(file.metadata);
+                const after = this._getLoggedTags(this._getMetadata(file.fileNumber));
+                Object.keys(before).concat(Object.keys(after).filter(tag => !before[tag]))
+                    .filter(tag => !after[tag] || !before[tag] || after[tag].value !== before[tag].value)
+                    .forEach((tag) => {
+                        count++;
+                        this.changeLog.push({
+                            id,
+                            time,
+                            file: this.files[file.fileNumber],
+                            tag,
+                            from: before[tag] ? before[tag].value : null,
+                            to: after[tag] ? after[tag].value : null,
+                            raw: before[tag] ? before[tag].raw : null,
+                        });
+                    });
+            });
+
+        if (count) {
+            this._saveChangeLog();
         }
+        this._updateHistoryActions();
     }
 
     /**
-     * @desc Constructs a Gtk.PopWidget from a series of passed in properties,
-     * including the widget that is to be shown within the created popwidget.
-     * name of a standard Gtk icon_name
-     * @param {object} properties
-     * @property {string} properties.label      value for the widget label
-     * @property {object} properties.widget     a Gtk Widget to insert into this popwidget
-     * @returns {object} Gtk.Widget
+     * @desc Method to return the entries of the last change to any of the
+     * selected files that has not been undone.
+     * @returns {array} the entries of the change, empty if there is none
      */
-    _getPopWidget(properties) {
-        let grid = this._widgetConstruct({
-            type: 'Grid',
-            properties: {
-                name: 'popwidget-button-grid',
-                attach: [{
-                    widget: this._widgetConstruct({
-                        type: 'Label',
-                        properties: {
-                            name: 'pop-widet-label',
-                            label: properties.label,
-                        },
-                    }),
-                    left: 0,
-                    top: 0,
-                    width: 1,
-                    height: 1,
-                },{
-                    widget: this._widgetConstruct({
-                        type: 'Image',
-                        properties: {
-                            name: 'pop-widget-image',
-                            icon_name: 'pan-down-symbolic',
-                            icon_size: Gtk.IconSize.SMALL_TOOLBAR,
-                        },
-                    }),
-                    left: 1,
-                    top: 0,
-                    width: 1,
-                    height: 1,
-                }]
-            }
-        });
+    _getLastChange() {
+        const entries = this.changeLog.filter(entry => (
+            !entry.undone && !entry.restore && this.files.indexOf(entry.file) !== -1
+        ));
+        const last = entries[entries.length - 1];
+        return last ? entries.filter(entry => entry.id === last.id) : [];
+    }
 
-        let popWidgetButton = this._widgetConstruct({
-            type: 'ToggleButton',
-            properties: {
-                name: 'headerbar-popwidget-reveal',
-                add: grid,
-            },
-            connect: {
-                clicked(widget, evt, self) {
-                    if (self._widgetGetRef('headerbar-popwidget-reveal').get_active()) {
-                        self._widgetGetRef('headerbar-popwidget').show_all();
+    /**
+     * @desc Method to enable the undo action when there is a change to undo and
+     * the restore action when the current file has an _original backup.
+     * @constant GLib.FileTest.EXISTS
+     */
+    _updateHistoryActions() {
+        const path = this.files[this.fileNumber];
+        this.application.lookup_action('undo-change').set_enabled(this._getLastChange().length > 0);
+        this.application.lookup_action('restore-original').set_enabled(
+            path !== undefined && GLib.file_test(`${path}_original`, GLib.FileTest.EXISTS)
+        );
+    }
+
+    /**
+     * @desc Method to undo the last change by writing the old value of each
+     * tag back with exiftool (a tag that was added is deleted again), with a
+     * command for each file. The undo is not logged as a change, the entries
+     * are marked as undone instead.
+     */
+    _undoChange() {
+        const entries = this._getLastChange();
+        const fileNumbers = this.files
+            .map((path, i) => i)
+            .filter(fileNumber => entries.some(entry => entry.file === this.files[fileNumber]));
+        const commands = fileNumbers.map((fileNumber) => {
+            const args = [];
+            entries
+                .filter(entry => entry.file === this.files[fileNumber])
+                .forEach((entry) => {
+                    if (entry.raw === null) {
+                        args.push(`-${entry.tag}=`);
+                    } else {
+                        // a list is written back one item at a time
+                        [].concat(entry.raw).forEach(value => args.push(`-${entry.tag}#=${value}`));
                     }
-                }
-            }
+                });
+            return ['exiftool'].concat(args, this.files[fileNumber]);
         });
 
-        return this._widgetConstruct({
-            type: 'Popover',
-            hide: true,
-            properties: {
-                name: 'headerbar-popwidget',
-                border_width: 2,
-                set_size_request: [-1, -1],
-                relative_to: popWidgetButton,
-                add: properties.widget,
-            },
-            connect: {
-                closed(widget, evt, self) {
-                    if (self._widgetGetRef('headerbar-popwidget-reveal').get_active()) {
-                        self._widgetGetRef('headerbar-popwidget-reveal').set_active(false);
+        if (!commands.length) {
+            return;
+        }
+
+        this._runCommands(commands)
+            .then((outputs) => {
+                const errors = [];
+                outputs.forEach((output, i) => {
+                    const lines = output.stderr.split('\n').filter(line => /^(Warning|Error)/.test(line));
+                    lines.forEach(line => errors.push(`${GLib.path_get_basename(this.files[fileNumbers[i]])}: ${line}`));
+                    if (!lines.some(line => line.startsWith('Error'))) {
+                        entries
+                            .filter(entry => entry.file === this.files[fileNumbers[i]])
+                            .forEach((entry) => {
+                                entry.undone = true;
+                            });
                     }
+                });
+                this._saveChangeLog();
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
                 }
-            }
+                return this._reloadMetadata();
+            })
+            .catch(err => this._showMessage(this._getErrorMessage(err)));
+    }
+
+    /**
+     * @desc Construct and show a dialog to confirm restoring the current file
+     * from the _original backup exiftool made the first time it was written.
+     */
+    _showRestoreOriginal() {
+        const path = this.files[this.fileNumber];
+        this._createDialog({
+            name: 'dialog-restore-original',
+            modal: true,
+            title: 'Restore Original',
+            message: `Restore ${GLib.path_get_basename(path)} from ${GLib.path_get_basename(path)}_original?\n` +
+                'Every change made to the file since the backup will be lost.',
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Restore',
+                onClick(wgt, evt, self) {
+                    wgt.get_toplevel().destroy();
+                    self._restoreOriginal(self.fileNumber);
+                }
+            }]
         });
     }
 
     /**
-     * @desc Method to construct the main application display window. THis Method
-     * sets the sizing of the window and the basic layout of the main widgets. The
-     * UI is then updated with the final data fron the _updateUI method.
-     * @external Gtk.Window
-     * @constant this.TITLE
-     * @constant Gtk.WindowPosition.CENTER
-     * @constant Gtk.StackTransitionType.SLIDE_UP
-     * @constant Gtk.IconSize.DIALOG
-     * @constant Pango.EllipsizeMode.END
-     * @constant Gdk.WindowHints.MAX_SIZE
-     * @constant Gdk.WindowHints.MIN_SIZE
+     * @desc Method to restore a file from its _original backup with exiftool
+     * -restore_original. Unsaved edits are dropped, the earlier entries of
+     * the file in the change log are marked as undone and a restore entry is
+     * added.
+     * @param {number} fileNumber a number indicating which file to restore
      */
-    _buildUI() {
-        this.window = new Gtk.Window({
-  		    application: this.application,
-            title: this.TITLE,
-            window_position: Gtk.WindowPosition.CENTER,
-  	     });
+    _restoreOriginal(fileNumber) {
+        const path = this.files[fileNumber];
 
-        const defaultIcon = this._getFromMIMEType('text-x-generic');
-        const metadataStack = this._widgetConstruct({
-            type: 'Stack',
+        this._spawn(['exiftool', '-restore_original', path])
+            .then((output) => {
+                const errors = output.stderr.split('\n').filter(line => /^Error/.test(line));
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
+                    return undefined;
+                }
+                this.edits[fileNumber] = {};
+                this.writeErrors[fileNumber] = {};
+                this.changeLog
+                    .filter(entry => entry.file === path)
+                    .forEach((entry) => {
+                        entry.undone = true;
+                    });
+                this.changeLog.push({
+                    id: this.changeLog.reduce((max, entry) => Math.max(max, entry.id), 0) + 1,
+                    time: GLib.DateTime.new_now_local().format('%F %T'),
+                    file: path,
+                    restore: true,
+                });
+                this._saveChangeLog();
+                return this._readFiles([fileNumber])
+                    .then(data => this._readLocations([fileNumber]).then(() => this._setMetadata(data, fileNumber)));
+            })
+            .catch(err => this._showMessage(this._getErrorMessage(err)));
+    }
+
+    /**
+     * @desc Construct and show the history of the current file from the change
+     * log, newest first. Changes that were undone (or lost by restoring the
+     * original) are greyed out.
+     * @constant Gtk.ShadowType.IN
+     * @constant Pango.EllipsizeMode.END
+     */
+    _showHistory() {
+        const path = this.files[this.fileNumber];
+        const entries = this.changeLog.filter(entry => entry.file === path).reverse();
+        const grid = this._widgetConstruct({
+            type: 'Grid',
             properties: {
-                name: 'metadata-stack',
-                vexpand: true,
-                hexpand: true,
-                margin_top: 5,
-                transition_type: Gtk.StackTransitionType.SLIDE_UP,
-                transition_duration: 700,
+                name: 'history-grid',
+                row_spacing: 4,
+                column_spacing: 10,
+                set_border_width: 6,
             },
         });
 
-        let box = this._widgetConstruct({
-            type: 'Box',
-            properties: {
-                name: 'icon-box',
-                valign: true,
+        if (!entries.length) {
+            grid.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: 'history-empty',
+                    label: 'No changes have been made to this file.',
+                    xalign: 0,
+                },
+            }), 0, 0, 1, 1);
+        }
+
+        entries.forEach((entry, i) => {
+            [
+                entry.time,
+                entry.restore ? 'Original restored' : entry.tag,
+                entry.restore ? '' : `${entry.from === null ? '(none)' : entry.from} \u2192 ${entry.to === null ? '(none)' : entry.to}`,
+            ].forEach((label, left) => {
+                grid.attach(this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: `history-${i}-${left}`,
+                        label,
+                        xalign: 0,
+                        selectable: true,
+                        sensitive: !entry.undone,
+                        max_width_chars: 40,
+                        ellipsize: Pango.EllipsizeMode.END,
+                        tooltip_text: entry.undone ? 'Undone' : label,
+                    },
+                }), left, i, 1, 1);
+            });
+        });
+
+        this._createDialog({
+            name: 'dialog-history',
+            modal: true,
+            title: `History of ${GLib.path_get_basename(path)}`,
+            widget: this._widgetConstruct({
+                type: 'ScrolledWindow',
+                properties: {
+                    name: 'history-scroll',
+                    set_shadow_type: Gtk.ShadowType.IN,
+                    set_size_request: [600, 320],
+                    add: grid,
+                },
+            }),
+            button: {
+                label: 'Close',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
             }
         });
+    }
 
-        let separator = this._widgetConstruct({
-            type: 'Separator',
+    /**
+     * @desc Method to return the value of a tag for a file.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @param {string} tag the Group:Tag name of the value to return, by family 0 or family 1 group
+     * @returns {(string | undefined)} the value or undefined if the file does not have the tag
+     */
+    _getTagValue(fileNumber, tag) {
+        return Tags.getValue(this._getMetadata(fileNumber), tag);
+    }
+
+    /**
+     * @desc Method to return a sorted list of every writable Group:Tag name
+     * found in the metadata of any of the selected files.
+     * @returns {array} an array of Group:Tag names
+     */
+    _getTagNames() {
+        const names = {};
+        this.metadata.forEach((output) => {
+            Object.keys(output)
+                .filter(group => group !== 'File' && group !== 'Composite')
+                .forEach((group) => {
+                    output[group].forEach((item) => {
+                        names[`${group}:${item[2]}`] = true;
+                    });
+                });
+        });
+        return Object.keys(names).sort();
+    }
+
+    /**
+     * @desc Construct and show the batch edit dialog. A tag is picked (or typed)
+     * along with a single value, the current value of the tag is listed for
+     * each selected file and then the value is written to all of the files with
+     * a single exiftool call.
+     * @constant Gtk.ShadowType.IN
+     */
+    _showBatchEdit() {
+        const preview = this._widgetConstruct({
+            type: 'Grid',
             properties: {
-                margin_bottom: 10,
-                margin_top: 2,
-                name: 'file-separator',
+                name: 'batch-preview-grid',
+                row_spacing: 4,
+                column_spacing: 10,
+                set_border_width: 6,
             },
         });
 
-        box.pack_start(this._widgetConstruct({
-            type: 'Image',
+        const tagCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            construct: { has_entry: true },
             properties: {
-                name: 'file-icon',
-                margin_bottom: 10,
-                margin_top: 5,
-                halign: true,
-                icon_name: defaultIcon,
-                icon_size: Gtk.IconSize.DIALOG,
+                name: 'batch-tag',
+                hexpand: true,
+                tooltip_markup: 'The Group:Tag to write, eg. EXIF:Artist',
             },
-        }), true, true, 10);
+            connect: {
+                changed(widget, evt, self) {
+                    self._updateBatchPreview(widget.get_active_text() || '');
+                }
+            }
+        });
+        this._getTagNames().forEach(name => tagCombo.append_text(name));
 
-        box.pack_end(this._widgetConstruct({
-            type: 'Label',
+        const valueEntry = this._widgetConstruct({
+            type: 'Entry',
             properties: {
-                name: 'file-label',
-                label: '', // will be set dynamically during updateUI
-                valign: true,
-                halign: true,
-                margin_top: 10,
-                ellipsize: Pango.EllipsizeMode.END,
-                max_width_chars: 32,
-                tooltip_markup: ARGV[0],
-                set_style: ' label { font-size: 1.1em; }',
+                name: 'batch-value',
+                hexpand: true,
+                placeholder_text: 'New value (empty to delete the tag)',
             },
-        }), true, true, 10);
+        });
 
-        const uppergrid = this._widgetConstruct({
+        const grid = this._widgetConstruct({
             type: 'Grid',
             properties: {
-                name: 'upper-box',
-                vexpand: true,
-                hexpand: true,
-                attach: [
-                    { widget: box,           left: 0, top: 0, width: 1, height: 1 },
-                    { widget: separator,     left: 0, top: 1, width: 1, height: 1 },
-                    { widget: metadataStack, left: 0, top: 2, width: 1, height: 1 }
-                ]
+                name: 'batch-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+                attach: [{
+                    widget: this._widgetConstruct({
+                        type: 'Label',
+                        properties: { name: 'batch-tag-label', label: 'Tag', xalign: 1 },
+                    }),
+                    left: 0, top: 0, width: 1, height: 1,
+                },
+                { widget: tagCombo, left: 1, top: 0, width: 1, height: 1 },
+                {
+                    widget: this._widgetConstruct({
+                        type: 'Label',
+                        properties: { name: 'batch-value-label', label: 'Value', xalign: 1 },
+                    }),
+                    left: 0, top: 1, width: 1, height: 1,
+                },
+                { widget: valueEntry, left: 1, top: 1, width: 1, height: 1 },
+                {
+                    widget: this._widgetConstruct({
+                        type: 'ScrolledWindow',
+                        properties: {
+                            name: 'batch-preview',
+                            set_shadow_type: Gtk.ShadowType.IN,
+                            set_size_request: [-1, 240],
+                            add: preview,
+                        },
+                    }),
+                    left: 0, top: 2, width: 2, height: 1,
+                }]
             },
         });
 
-        this.window.set_geometry_hints(null, new Gdk.Geometry({
-            max_height: 1200,
-            min_height: 1000,
-            min_width: 300,
-            max_width: 300
-        }), (Gdk.WindowHints.MAX_SIZE && Gdk.WindowHints.MIN_SIZE));
-        this.window.set_border_width(12);
-        this.window.add(uppergrid);
-        this.window.set_resizable(false);
-        this.window.set_titlebar(this._getTitleBar());
-        this.window.set_icon_name('application-x-executable');
+        this._createDialog({
+            name: 'dialog-batch-edit',
+            modal: true,
+            title: `Batch Edit ${this.files.length} Files`,
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Apply',
+                onClick(wgt, evt, self) {
+                    const tag = (tagCombo.get_active_text() || '').trim();
+                    // read before the dialog is destroyed, which empties the entry
+                    const value = valueEntry.get_text();
+                    if (!/^[\w-]+:[\w-]+$/.test(tag)) {
+                        self._showMessage('Choose a tag, or type one as Group:Tag, eg. EXIF:Artist');
+                        return;
+                    }
+                    wgt.get_toplevel().destroy();
+                    self._writeBatch(tag, value);
+                }
+            }]
+        });
+        this._updateBatchPreview('');
     }
 
     /**
-     * @desc Constructs a Gtk.Headerbar from a series widgets.
-     * @returns {object} Gtk.HeaderBar widget to insert into the UI
+     * @desc Method to list the current value of the chosen tag for each of the
+     * selected files in the batch edit dialog.
+     * @param {string} tag the Group:Tag name chosen in the dialog
      */
-    _getTitleBar() {
-        const next = this._widgetConstruct({
-            type: 'Button',
-            hide: ARGV.length === 1 ? true : false, // display button only if multiple files selected
-            properties: {
-                name: 'headerbar-next',
-                set_image: {
-                    icon_name: 'go-next-rtl-symbolic',
-                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+    _updateBatchPreview(tag) {
+        const preview = this._widgetGetRef('batch-preview-grid');
+        const isTag = /^[\w-]+:[\w-]+$/.test(tag.trim());
+
+        preview.get_children().forEach(child => child.destroy());
+        this.files.forEach((path, i) => {
+            const value = isTag ? this._getTagValue(i, tag.trim()) : undefined;
+            preview.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `batch-preview-file-${i}`,
+                    label: GLib.path_get_basename(path),
+                    xalign: 0,
+                    max_width_chars: 30,
+                    ellipsize: Pango.EllipsizeMode.MIDDLE,
+                    tooltip_markup: GLib.markup_escape_text(path, -1),
                 },
-                tooltip_markup: 'Go the previous file metadata page',
-            },
-            connect: {
-                clicked(widget, evt, self) {
-                    self._decreaseFileNumber();
+            }), 0, i, 1, 1);
+            preview.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `batch-preview-value-${i}`,
+                    label: value === undefined ? '\u2014' : value,
+                    xalign: 0,
+                    selectable: true,
+                    max_width_chars: 40,
+                    ellipsize: Pango.EllipsizeMode.END,
+                },
+            }), 1, i, 1, 1);
+        });
+    }
+
+    /**
+     * @desc Method to write a single tag value to every selected file in one
+     * exiftool call. The value of a list tag is split into items at each
+     * comma, any other value is written as it is. Any unsaved edits of the
+     * same tag are discarded as they would be overwritten, and then the
+     * metadata of every file is re-read.
+     * @param {string} tag the Group:Tag name to write
+     * @param {string} value the value to write, an empty string deletes the tag
+     */
+    _writeBatch(tag, value) {
+        const name = tag.split(':')[1];
+        const items = this.files.map((path, i) => Tags.getItem(this._getMetadata(i), tag));
+        const list = this.LIST_TAGS.indexOf(name) !== -1 || items.some(item => item && this._isListTag(item));
+        const command = ['exiftool'].concat(list ? ['-sep', ','] : [], `-${tag}=${value}`, this.files);
+        const snapshot = this._getSnapshot(this.files.map((path, i) => i));
+
+        this._spawn(command)
+            .then((output) => {
+                const errors = output.stderr.split('\n')
+                    .filter(line => /^(Warning|Error)/.test(line));
+                // edits are kept by the family 1 group, which can differ from the group written
+                Object.keys(this.edits).forEach((fileNumber) => {
+                    const item = items[fileNumber];
+                    [tag, item && `${item[5]}:${name}`]
+                        .filter(key => key)
+                        .forEach((key) => {
+                            delete this.edits[fileNumber][key];
+                            delete this.edits[fileNumber][`${key}#`];
+                        });
+                });
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
                 }
-            }
+                return this._reloadMetadata();
+            })
+            .then(() => this._logChanges(snapshot))
+            .catch(err => this._showMessage(err.toString()));
+    }
+
+    /**
+     * @desc Method to line up the metadata of several files by group and tag.
+     * Each row is marked as 'same' when every file has the same value,
+     * 'different' when the values differ and 'missing' when only some of the
+     * files have the tag.
+     * @param {array} fileNumbers an array of the files to compare
+     * @returns {array} an array of groups, each with an array of compared rows
+     */
+    _getComparison(fileNumbers) {
+        const groups = {};
+        fileNumbers.forEach((fileNumber, column) => {
+            const output = this._getMetadata(fileNumber);
+            Object.keys(output).forEach((group) => {
+                groups[group] = groups[group] || {};
+                output[group].forEach((item) => {
+                    if (!groups[group][item[2]]) {
+                        groups[group][item[2]] = {
+                            tag: item[2],
+                            desc: item[0],
+                            values: fileNumbers.map(() => undefined),
+                        };
+                    }
+                    groups[group][item[2]].values[column] = item[1].toString();
+                });
+            });
         });
 
-        const previous = this._widgetConstruct({
-            type: 'Button',
-            hide: ARGV.length ===1 ? true : false, // display button only if multiple files selected
-            properties: {
-                name: 'headerbar-prev',
-                set_image: {
-                    icon_name: 'go-previous-rtl-symbolic',
-                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+        return Object.keys(groups).map(group => ({
+            group,
+            rows: Object.keys(groups[group]).map((tag) => {
+                const row = groups[group][tag];
+                if (row.values.some(value => value === undefined)) {
+                    row.state = 'missing';
+                } else if (row.values.some(value => value !== row.values[0])) {
+                    row.state = 'different';
+                } else {
+                    row.state = 'same';
+                }
+                return row;
+            }),
+        }));
+    }
+
+    /**
+     * @desc Construct and show the compare dialog. The files to compare are
+     * picked with a check button each, and the metadata of those files is
+     * lined up side by side by group and tag.
+     * @constant Gtk.ShadowType.IN
+     */
+    _showCompare() {
+        const fileButtons = this.files.map((path, i) => (
+            this._widgetConstruct({
+                type: 'CheckButton',
+                properties: {
+                    name: `compare-file-${i}`,
+                    label: GLib.path_get_basename(path),
+                    active: i < this.COMPARE_FILES,
+                    tooltip_markup: GLib.markup_escape_text(path, -1),
                 },
-                tooltip_markup: 'Go the next file metadata page',
+                connect: {
+                    toggled(widget, evt, self) {
+                        self._updateCompare();
+                    }
+                }
+            })
+        ));
+
+        const differencesOnly = this._widgetConstruct({
+            type: 'CheckButton',
+            properties: {
+                name: 'compare-differences-only',
+                label: 'Show differences only',
             },
             connect: {
-                clicked(widget, evt, self) {
-                    self._increaseFileNumber();
+                toggled(widget, evt, self) {
+                    self._updateCompare();
                 }
             }
         });
 
-        this._getPopWidget({
-            label: 'Group',
-            widget: this._widgetConstruct({
-                type: 'Grid',
-                properties: {
-                    name: 'popwidget-grid',
-                    row_spacing: 1,
-                    halign: Gtk.Align.CENTER,
-                    set_border_width: 15,
-                },
-            })
+        const files = this._widgetConstruct({
+            type: 'FlowBox',
+            properties: {
+                name: 'compare-files',
+                selection_mode: Gtk.SelectionMode.NONE,
+                max_children_per_line: 4,
+            },
         });
+        fileButtons.forEach(button => files.add(button));
 
-        const reveal = this._widgetGetRef('headerbar-popwidget-reveal');
-        const pack_start = this._widgetConstruct({
+        const grid = this._widgetConstruct({
             type: 'Grid',
             properties: {
-                name: 'headerbar-pack-start',
+                name: 'compare-grid',
+                row_spacing: 6,
+                set_border_width: 6,
                 attach: [
-                    { widget: reveal,   left: 0, top: 0, width: 1, height: 1 },
-                    { widget: next,     left: 1, top: 0, width: 1, height: 1 },
-                    { widget: previous, left: 2, top: 0, width: 1, height: 1 }
+                    { widget: files, left: 0, top: 0, width: 1, height: 1 },
+                    { widget: differencesOnly, left: 0, top: 1, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'ScrolledWindow',
+                            properties: {
+                                name: 'compare-scroll',
+                                vexpand: true,
+                                hexpand: true,
+                                set_shadow_type: Gtk.ShadowType.IN,
+                                add: this._widgetConstruct({
+                                    type: 'Grid',
+                                    properties: {
+                                        name: 'compare-table',
+                                        row_spacing: 4,
+                                        column_spacing: 10,
+                                        set_border_width: 6,
+                                    },
+                                }),
+                            },
+                        }),
+                        left: 0, top: 2, width: 1, height: 1,
+                    }
                 ]
+            },
+        });
+
+        const dialog = this._createDialog({
+            name: 'dialog-compare',
+            title: 'Compare Files',
+            widget: grid,
+            button: {
+                label: 'Close',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            }
+        });
+        dialog.set_default_size(900, 700);
+        this._updateCompare();
+    }
+
+    /**
+     * @desc Method to (re)build the table of the compare dialog from the files
+     * that are checked. Tags with different values are highlighted and tags
+     * only some of the files have are shown in the warning colour.
+     * @constant Pango.EllipsizeMode.END
+     */
+    _updateCompare() {
+        const table = this._widgetGetRef('compare-table');
+        const differencesOnly = this._widgetGetRef('compare-differences-only').get_active();
+        const fileNumbers = this.files
+            .map((path, i) => i)
+            .filter(i => this._widgetGetRef(`compare-file-${i}`).get_active());
+        const styles = {
+            different: ' label { color: @error_color; font-weight: bold; }',
+            missing: ' label { color: @warning_color; font-style: italic; }',
+        };
+        let top = 0;
+
+        const attachLabel = (properties, left, style) => {
+            if (style) {
+                properties.set_style = style;
+            }
+            table.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: Object.assign({
+                    name: `compare-cell-${left}-${top}`,
+                    xalign: 0,
+                    max_width_chars: 30,
+                    ellipsize: Pango.EllipsizeMode.END,
+                }, properties),
+            }), left, top, 1, 1);
+        };
+
+        table.get_children().forEach(child => child.destroy());
+
+        if (fileNumbers.length < 2) {
+            attachLabel({ label: 'Select two or more files to compare' }, 0);
+            return;
+        }
+
+        fileNumbers.forEach((fileNumber, column) => {
+            attachLabel({
+                label: GLib.path_get_basename(this.files[fileNumber]),
+                set_style: ' label { font-weight: bold; }',
+            }, column + 1);
+        });
+        top++;
+
+        this._getComparison(fileNumbers).forEach((section) => {
+            const rows = section.rows.filter(row => !differencesOnly || row.state !== 'same');
+            if (!rows.length) {
+                return;
             }
+
+            attachLabel({
+                label: section.group,
+                margin_top: 10,
+                set_style: ' label { font-weight: bold; font-size: 1.1em; }',
+            }, 0);
+            top++;
+
+            rows.forEach((row) => {
+                attachLabel({ label: row.desc, tooltip_markup: row.tag }, 0);
+                row.values.forEach((value, column) => {
+                    attachLabel({
+                        label: value === undefined ? '\u2014' : value,
+                        selectable: true,
+                        tooltip_text: value === undefined ? 'Tag not present' : value,
+                    }, column + 1, styles[row.state]);
+                });
+                top++;
+            });
+        });
+    }
+
+    /**
+     * @desc Construct and run a Gtk.FileChooserDialog and return the path that
+     * the user chose.
+     * @param {object} options used to construct the file chooser
+     * @property {string} options.title the title of the dialog
+     * @property {number} options.action a Gtk.FileChooserAction
+     * @property {string} options.accept the label of the accept button
+     * @property {string} options.folder the folder to open the dialog in
+     * @property {string} options.name the suggested file name when saving
+     * @constant Gtk.ResponseType.ACCEPT
+     * @returns {(string | null)} the chosen path or null if cancelled
+     */
+    _chooseFile(options) {
+        const dialog = this._widgetConstruct({
+            type: 'FileChooserDialog',
+            hide: true,
+            properties: {
+                name: 'dialog-file-chooser',
+                title: options.title,
+                action: options.action,
+                transient_for: this.window,
+                modal: true,
+                do_overwrite_confirmation: true,
+            },
+        });
+        dialog.add_button('_Cancel', Gtk.ResponseType.CANCEL);
+        dialog.add_button(options.accept || '_Save', Gtk.ResponseType.ACCEPT);
+
+        if (options.folder) {
+            dialog.set_current_folder(options.folder);
+        }
+        if (options.name) {
+            dialog.set_current_name(options.name);
+        }
+
+        const path = dialog.run() === Gtk.ResponseType.ACCEPT ? dialog.get_filename() : null;
+        dialog.destroy();
+        return path;
+    }
+
+    /**
+     * @desc Method to export the metadata of the current file, or all of the
+     * selected files, to a file chosen by the user.
+     * @param {string} target the format and files to export, eg. 'json-current' or 'csv-all'
+     * @constant Gtk.FileChooserAction.SAVE
+     */
+    _exportMetadata(target) {
+        const [format, scope] = target.split('-');
+        const fileNumbers = scope === 'all' ? this.files.map((path, i) => i) : [this.fileNumber];
+        const folder = Gio.File.new_for_path(this.files[this.fileNumber]).get_parent().get_path();
+        const name = scope === 'all' ? 'metadata' :
+            GLib.path_get_basename(this.files[this.fileNumber]).replace(/\.[^.]*$/, '');
+
+        if (format === 'xmp') {
+            this._exportSidecars(fileNumbers, folder, name);
+            return;
+        }
+
+        const path = this._chooseFile({
+            title: `Export Metadata as ${format.toUpperCase()}`,
+            action: Gtk.FileChooserAction.SAVE,
+            folder,
+            name: `${name}.${format}`,
+        });
+
+        if (!path) {
+            return;
+        }
+
+        let contents;
+        switch (format) {
+        case 'csv':
+            contents = this._getCSV(fileNumbers);
+            break;
+        case 'html':
+            contents = this._getHTML(fileNumbers);
+            break;
+        default:
+            contents = this._getJSON(fileNumbers);
+            break;
+        }
+
+        try {
+            GLib.file_set_contents(path, contents);
+        } catch (err) {
+            this._showMessage(err.toString());
+        }
+    }
+
+    /**
+     * @desc Method to format the metadata of the files as JSON, grouped in the
+     * same way as the metadata is stored with the SourceFile added.
+     * @param {array} fileNumbers an array of the files to export
+     * @returns {string} the JSON formated metadata
+     */
+    _getJSON(fileNumbers) {
+        return Cli.getJSON(this._getCliFiles(fileNumbers));
+    }
+
+    /**
+     * @desc Method to format the metadata of the files as CSV, with one row
+     * per file and one column for every Group:Tag found in any of the files.
+     * @param {array} fileNumbers an array of the files to export
+     * @returns {string} the CSV formated metadata
+     */
+    _getCSV(fileNumbers) {
+        return Cli.getCSV(this._getCliFiles(fileNumbers));
+    }
+
+    /**
+     * @desc Method to format the metadata of the files as a standalone HTML
+     * report, with a table for each group of each file.
+     * @param {array} fileNumbers an array of the files to export
+     * @returns {string} the HTML report
+     */
+    _getHTML(fileNumbers) {
+        const escape = text => GLib.markup_escape_text(text.toString(), -1);
+        const files = fileNumbers.map((fileNumber) => {
+            const output = this._getMetadata(fileNumber);
+            const groups = Object.keys(output).map(group => (
+                `<h3>${escape(group)}</h3>\n<table>\n${output[group].map(item => (
+                    `<tr><th>${escape(item[0])}</th><td>${escape(item[1])}</td></tr>`
+                )).join('\n')}\n</table>`
+            ));
+            return `<section>\n<h2>${escape(this.files[fileNumber])}</h2>\n${groups.join('\n')}\n</section>`;
+        });
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Metadata Report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #2e3436; }
+h2 { border-bottom: 1px solid #babdb6; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { text-align: left; vertical-align: top; padding: 2px 12px 2px 0; }
+th { font-weight: normal; color: #555753; }
+</style>
+</head>
+<body>
+<h1>Metadata Report</h1>
+<p>Generated by ${this.TITLE} ${this.VERSION} on ${escape(GLib.DateTime.new_now_local().format('%F %T'))}</p>
+${files.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * @desc Method to write an XMP sidecar for each of the files with exiftool.
+     * A single file is saved to a path chosen by the user, for several files a
+     * folder is chosen and each sidecar is named after its file.
+     * @param {array} fileNumbers an array of the files to export
+     * @param {string} folder the folder to open the file chooser in
+     * @param {string} name the suggested file name for a single file
+     * @constant Gtk.FileChooserAction.SAVE
+     * @constant Gtk.FileChooserAction.SELECT_FOLDER
+     */
+    _exportSidecars(fileNumbers, folder, name) {
+        const single = fileNumbers.length === 1;
+        const path = this._chooseFile({
+            title: 'Export XMP Sidecar',
+            action: single ? Gtk.FileChooserAction.SAVE : Gtk.FileChooserAction.SELECT_FOLDER,
+            accept: single ? '_Save' : '_Select',
+            folder,
+            name: single ? `${name}.xmp` : null,
+        });
+
+        if (!path) {
+            return;
+        }
+
+        if (single && GLib.file_test(path, GLib.FileTest.EXISTS)) {
+            // exiftool will not overwrite a file, overwriting was already confirmed
+            Gio.File.new_for_path(path).delete(null);
+        }
+
+        const command = ['exiftool', '-tagsfromfile', '@', '-xmp:all<all', '-o']
+            .concat(single ? path : GLib.build_filenamev([path, '%f.xmp']))
+            .concat(fileNumbers.map(fileNumber => this.files[fileNumber]));
+
+        this._spawn(command)
+            .then((output) => {
+                const errors = output.stderr.split('\n').filter(line => /^Error/.test(line));
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
+                }
+            })
+            .catch(err => this._showMessage(err.toString()));
+    }
+
+    /**
+     * @desc Method to read the locations of the files with exiftool using the
+     * Coordinates class and store them in the class variable locations.
+     * @param {array} fileNumbers an array of the files to read
+     * @returns {Promise} resolved once the locations have been stored
+     */
+    _readLocations(fileNumbers) {
+        // files that could not be read are not given to exiftool again
+        const paths = fileNumbers
+            .filter(fileNumber => !this.fileErrors[fileNumber] || this.fileErrors[fileNumber].type === 'warning')
+            .map(fileNumber => this.files[fileNumber]);
+        return (paths.length ? this._runCommand([Coordinates.getCommand(paths)]) : Promise.resolve([]))
+            .then((data) => {
+                let locations = {};
+                try {
+                    locations = Coordinates.parse(data[0]);
+                } catch (err) {
+                    // no file could be read, so there are no locations to show
+                }
+                fileNumbers.forEach((fileNumber) => {
+                    this.locations[fileNumber] = locations[this.files[fileNumber]];
+                });
+            });
+    }
+
+    /**
+     * @desc Method to return a point to show on the map for each selected file
+     * that has a location. While geotagging is previewed the position from the
+     * track is used instead and the point is marked as a preview.
+     * @returns {array} an array of points with the fileNumber, name, date, preview and location
+     */
+    _getMapPoints() {
+        return this.metadata
+            .map((output, fileNumber) => {
+                const preview = this.geotagPreview && this.geotagPreview[fileNumber];
+                const location = preview || this.locations[fileNumber];
+                return location && Object.assign({
+                    fileNumber,
+                    name: GLib.path_get_basename(this.files[fileNumber]),
+                    date: this._getTagValue(fileNumber, 'EXIF:DateTimeOriginal'),
+                    preview: preview !== undefined,
+                }, location);
+            })
+            .filter(point => point);
+    }
+
+    /**
+     * @desc Method to show the metadata of a file, used when a file is picked
+     * directly rather than with the next and previous buttons.
+     * @param {number} fileNumber a number indicating which file to show
+     */
+    _setFileNumber(fileNumber) {
+        if (fileNumber >= 0 && fileNumber < this.files.length) {
+            this.fileNumber = fileNumber;
+            this._updateUI();
+        }
+    }
+
+    /**
+     * @desc Method to find the url of the Leaflet library, either from the
+     * leafletPath setting, a leaflet folder next to this script or the folders
+     * used by the distribution packages. When Leaflet is not installed it is
+     * loaded from LEAFLET_URL while the network is available.
+     * @constant SCRIPT_DIR
+     * @external Gio.NetworkMonitor
+     * @returns {(string | undefined)} the url or undefined if Leaflet cannot be loaded
+     */
+    _getLeafletUri() {
+        const path = [
+            this.settings.leafletPath,
+            GLib.build_filenamev([SCRIPT_DIR, 'leaflet']),
+            '/usr/share/javascript/leaflet',
+            '/usr/share/leaflet',
+            '/usr/lib/node_modules/leaflet/dist',
+        ].find(folder => folder && GLib.file_test(GLib.build_filenamev([folder, 'leaflet.js']), GLib.FileTest.EXISTS));
+
+        if (path) {
+            return Gio.File.new_for_path(path).get_uri();
+        }
+        return Gio.NetworkMonitor.get_default().get_network_available() ? this.LEAFLET_URL : undefined;
+    }
+
+    /**
+     * @desc Method to return the url template Leaflet should load map tiles
+     * from, based on the mapTiles setting. A remote source is only used when
+     * the network is available, a folder is loaded with file:// urls and an
+     * MBTiles file is served through the mbtiles:// uri scheme.
+     * @external Gio.NetworkMonitor
+     * @returns {(string | undefined)} the url template or undefined if no tiles are available
+     */
+    _getTileSource() {
+        const source = this.settings.mapTiles;
+
+        if (/^https?:\/\//.test(source)) {
+            return Gio.NetworkMonitor.get_default().get_network_available() ? source : undefined;
+        } else if (GLib.file_test(source, GLib.FileTest.IS_DIR)) {
+            return `${Gio.File.new_for_path(source).get_uri()}/{z}/{x}/{y}.png`;
+        } else if (/\.mbtiles$/.test(source) && GLib.file_test(source, GLib.FileTest.EXISTS)) {
+            this._registerMBTiles();
+            return 'mbtiles://tiles/{z}/{x}/{y}';
+        }
+        return undefined;
+    }
+
+    /**
+     * @desc Method to register the mbtiles:// uri scheme with WebKit, reading
+     * each requested tile from the MBTiles (SQLite) file of the mapTiles
+     * setting with the sqlite3 command. The command runs asynchronously so
+     * that loading the map does not block the window. MBTiles uses TMS tile
+     * rows, so the y coordinate is flipped.
+     * @external WebKit2.WebContext
+     * @external Gio.Subprocess
+     * @external Gio.MemoryInputStream
+     * @constant Gio.SubprocessFlags
+     */
+    _registerMBTiles() {
+        if (this.mbtilesRegistered) {
+            return;
+        }
+        this.mbtilesRegistered = true;
+
+        WebKit2.WebContext.get_default().register_uri_scheme('mbtiles', (request) => {
+            const [, z, x, y] = (request.get_uri().match(/(\d+)\/(\d+)\/(\d+)$/) || []).map(Number);
+            const query = `SELECT hex(tile_data) FROM tiles WHERE zoom_level=${z} ` +
+                `AND tile_column=${x} AND tile_row=${Math.pow(2, z) - 1 - y};`;
+            const finish = (hex) => {
+                if (!hex) {
+                    request.finish_error(new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND,
+                        `Tile ${z}/${x}/${y} not found`));
+                    return;
+                }
+
+                const bytes = new Uint8Array(hex.length / 2);
+                for (let i = 0; i < bytes.length; i++) {
+                    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+                }
+                request.finish(Gio.MemoryInputStream.new_from_bytes(new GLib.Bytes(bytes)),
+                    bytes.length, bytes[0] === 0xFF ? 'image/jpeg' : 'image/png');
+            };
+
+            try {
+                const process = Gio.Subprocess.new(['sqlite3', this.settings.mapTiles, query],
+                    Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_SILENCE);
+                process.communicate_utf8_async(null, null, (proc, result) => {
+                    try {
+                        const [, stdout] = proc.communicate_utf8_finish(result);
+                        finish((stdout || '').trim());
+                    } catch (err) {
+                        finish('');
+                    }
+                });
+            } catch (err) {
+                finish('');
+            }
+        });
+    }
+
+    /**
+     * @desc Method to return a value as JSON that can be put inside a <script>
+     * element: a < is escaped so that a file name such as </script> cannot end
+     * the script, and so are the line and paragraph separators, which end a
+     * JavaScript string in older engines.
+     * @param {*} value the value
+     * @returns {string} the JSON
+     */
+    _getScriptJSON(value) {
+        return JSON.stringify(value)
+            .replace(/</g, '\\u003c')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    /**
+     * @desc Method to create the standalone HTML page that shows the locations
+     * on a Leaflet map. Points that are close together at the current zoom are
+     * clustered, the points are joined as a track in DateTimeOriginal order and
+     * clicking a point posts its fileNumber to the metadata message handler.
+     * The current file is never clustered and is drawn on top. Points with a
+     * direction are drawn with a cone showing which way the camera faced.
+     * File names are never treated as HTML, as the page can read local files.
+     * @param {string} leaflet the url of the Leaflet library
+     * @param {string} tiles the url template to load the map tiles from
+     * @param {array} points the points returned from _getMapPoints
+     * @returns {string} the HTML page
+     */
+    _getMapHTML(leaflet, tiles, points) {
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<link rel="stylesheet" href="${leaflet}/leaflet.css">
+<script src="${leaflet}/leaflet.js"></script>
+<style>
+html, body, #map { height: 100%; margin: 0; }
+.cluster { background: rgba(52, 101, 164, 0.8); border-radius: 50%; color: #fff;
+    font: bold 12px sans-serif; line-height: 30px; text-align: center; }
+</style>
+</head>
+<body>
+<div id="map"></div>
+<script>
+var points = ${this._getScriptJSON(points)};
+var current = ${this.fileNumber};
+var map = L.map('map');
+var markers = L.layerGroup().addTo(map);
+var track = points
+    .filter(function (point) { return point.date; })
+    .sort(function (a, b) { return a.date < b.date ? -1 : 1; })
+    .map(function (point) { return [point.latitude, point.longitude]; });
+
+// unwrap the track so that it crosses the antimeridian instead of the whole map
+track.forEach(function (position, i) {
+    if (i) {
+        position[1] += Math.round((track[i - 1][1] - position[1]) / 360) * 360;
+    }
+});
+
+L.tileLayer(${this._getScriptJSON(tiles)}, {
+    maxZoom: 19,
+    attribution: '&copy; OpenStreetMap contributors',
+}).addTo(map);
+
+if (track.length > 1) {
+    L.polyline(track, { weight: 2, opacity: 0.6 }).addTo(map);
+}
+
+function addCone(point) {
+    // a 40 pixel long, 40 degree wide cone whatever the zoom level
+    var metres = 40 * 40075016.686 * Math.cos(point.latitude * Math.PI / 180) /
+        Math.pow(2, map.getZoom() + 8);
+    var cone = [[point.latitude, point.longitude]];
+    for (var angle = point.direction - 20; angle <= point.direction + 20; angle += 5) {
+        var radians = angle * Math.PI / 180;
+        cone.push([
+            point.latitude + (metres * Math.cos(radians)) / 111320,
+            point.longitude + (metres * Math.sin(radians)) /
+                (111320 * Math.cos(point.latitude * Math.PI / 180)),
+        ]);
+    }
+    L.polygon(cone, { weight: 1, fillOpacity: 0.3, interactive: false }).addTo(markers);
+}
+
+function addMarker(point) {
+    var isCurrent = point.fileNumber === current;
+    if (typeof point.direction === 'number') {
+        addCone(point);
+    }
+    L.circleMarker([point.latitude, point.longitude], {
+        radius: isCurrent ? 9 : 6,
+        color: isCurrent ? '#cc0000' : point.preview ? '#f57900' : '#3465a4',
+        dashArray: point.preview ? '3' : null,
+    })
+        .bindTooltip(document.createTextNode(point.name))
+        .on('click', function () {
+            window.webkit.messageHandlers.metadata.postMessage(String(point.fileNumber));
+        })
+        .addTo(markers);
+}
+
+function cluster() {
+    var cells = {};
+    markers.clearLayers();
+    points.forEach(function (point) {
+        if (point.fileNumber === current) {
+            return;
+        }
+        var pixel = map.project([point.latitude, point.longitude], map.getZoom());
+        var key = map.getZoom() >= map.getMaxZoom() ? point.fileNumber :
+            Math.floor(pixel.x / 40) + ':' + Math.floor(pixel.y / 40);
+        (cells[key] = cells[key] || []).push(point);
+    });
+    Object.keys(cells).forEach(function (key) {
+        var cell = cells[key];
+        if (cell.length === 1) {
+            addMarker(cell[0]);
+            return;
+        }
+        var bounds = L.latLngBounds(cell.map(function (point) {
+            return [point.latitude, point.longitude];
+        }));
+        L.marker(bounds.getCenter(), {
+            icon: L.divIcon({ html: String(cell.length), className: 'cluster', iconSize: [30, 30] }),
+        })
+            .on('click', function () { map.fitBounds(bounds, { maxZoom: map.getZoom() + 2 }); })
+            .addTo(markers);
+    });
+    points.filter(function (point) { return point.fileNumber === current; }).forEach(addMarker);
+}
+
+map.on('zoomend', cluster);
+var selected = points.filter(function (point) { return point.fileNumber === current; })[0];
+if (selected) {
+    map.setView([selected.latitude, selected.longitude], ${this.settings.mapZoom});
+} else {
+    map.fitBounds(points.map(function (point) { return [point.latitude, point.longitude]; }),
+        { maxZoom: ${this.settings.mapZoom} });
+}
+cluster();
+</script>
+</body>
+</html>`;
+    }
+
+    /**
+     * @desc Method to construct the map page of the stack. The coordinates of
+     * the current file are always shown with a button to copy them, and below
+     * them a Leaflet map of every file with a location, if the library and map
+     * tiles are available. Clicking a file on the map shows its metadata.
+     * @param {array} points the points returned from _getMapPoints
+     * @external Gtk.Clipboard
+     * @external WebKit2.UserContentManager
+     * @constant Gdk.SELECTION_CLIPBOARD
+     * @returns {object} Gtk.Grid
+     */
+    _getMapPage(points) {
+        const leaflet = this._getLeafletUri();
+        const tiles = this._getTileSource();
+        const point = points.find(item => item.fileNumber === this.fileNumber);
+        const coordinates = point ?
+            [point.latitude, point.longitude].map(value => value.toFixed(6)).join(', ') :
+            'This file has no location';
+        const details = [coordinates];
+
+        if (point && point.altitude !== undefined) {
+            details.push(`Altitude ${point.altitude.toFixed(1)} m`);
+        }
+        if (point && point.direction !== undefined) {
+            details.push(`Direction ${point.direction.toFixed(1)}\u00b0 ${point.directionRef === 'M' ? 'magnetic' : 'true'}`);
+        }
+        if (point && point.datum && !/^WGS.?84$/i.test(String(point.datum).trim())) {
+            details.push(`Datum ${point.datum}`);
+        }
+        const children = [{
+            widget: this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: 'metadata-map-coordinates',
+                    label: details.join('\n'),
+                    selectable: true,
+                    hexpand: true,
+                    xalign: 0,
+                },
+            }),
+            left: 0,
+            top: 0,
+            width: 1,
+            height: 1,
+        },{
+            widget: this._widgetConstruct({
+                type: 'Button',
+                properties: {
+                    name: 'metadata-map-copy',
+                    label: 'Copy Coordinates',
+                    sensitive: point !== undefined,
+                    tooltip_markup: 'Copy the latitude and longitude to the clipboard',
+                },
+                connect: {
+                    clicked() {
+                        Gtk.Clipboard.get(Gdk.SELECTION_CLIPBOARD).set_text(coordinates, -1);
+                    }
+                }
+            }),
+            left: 1,
+            top: 0,
+            width: 1,
+            height: 1,
+        }];
+
+        if (leaflet && tiles) {
+            const contentManager = new WebKit2.UserContentManager();
+            contentManager.register_script_message_handler('metadata');
+            contentManager.connect('script-message-received::metadata', (manager, result) => {
+                const fileNumber = parseInt(result.get_js_value().to_string(), 10);
+                // wait for the signal to finish as the webview is destroyed on update
+                GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                    const metadataStack = this._widgetGetRef('metadata-stack');
+                    this._setFileNumber(fileNumber);
+                    metadataStack.set_visible_child(metadataStack.get_children()[0]);
+                    return GLib.SOURCE_REMOVE;
+                });
+            });
+
+            children.push({
+                widget: this._widgetConstruct({
+                    type: 'WebView',
+                    hide: true,
+                    construct: { user_content_manager: contentManager },
+                    properties: {
+                        vexpand: true,
+                        hexpand: true,
+                        load_html: [this._getMapHTML(leaflet, tiles, points), 'file:///'],
+                        name: 'metadata-map-webview',
+                    },
+                    connect: {
+                        load_changed(widget, evt, self) {
+                            if (evt === WebKit2.LoadEvent.FINISHED) {
+                                const spinner = self._widgetGetRef('metadata-map-spinner');
+                                spinner.hide();
+                                widget.show();
+                            }
+                        }
+                    }
+                }),
+                left: 0,
+                top: 1,
+                width: 2,
+                height: 1,
+            },{
+                widget: this._widgetConstruct({
+                    type: 'Spinner',
+                    properties: {
+                        vexpand: true,
+                        hexpand: true,
+                        start: true,
+                        name: 'metadata-map-spinner',
+                    },
+                }),
+                left: 0,
+                top: 2,
+                width: 2,
+                height: 1,
+            });
+        } else {
+            children.push({
+                widget: this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: 'metadata-map-unavailable',
+                        label: leaflet ? 'No map tiles are available' : 'Install Leaflet to show a map without a network connection',
+                        vexpand: true,
+                        wrap: true,
+                        sensitive: false,
+                    },
+                }),
+                left: 0,
+                top: 1,
+                width: 2,
+                height: 1,
+            });
+        }
+
+        return this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'metadata-map-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                attach: children,
+            }
+        });
+    }
+
+    /**
+     * @desc Method to return the presets of the privacy clean dialog. Each
+     * preset has a test for the tags it removes, used to list them before
+     * cleaning, and the exiftool arguments that remove them.
+     * @returns {array} an array of presets with an id, label, matches function and args
+     */
+    _getPrivacyPresets() {
+        const identifiers = /SerialNumber$|^(Camera)?OwnerName$|^Software$|^HostComputer$|^CreatorTool$|^ImageUniqueID$|^(Original)?DocumentID$|^InstanceID$/;
+        return [{
+            id: 'gps',
+            label: 'Remove GPS only',
+            matches: (group, tag) => /^GPS/.test(tag),
+            args: ['-gps:all=', '-GPS*='],
+        },{
+            id: 'identifiers',
+            label: 'Remove personal and device identifiers',
+            matches: (group, tag) => identifiers.test(tag),
+            args: ['-*SerialNumber=', '-OwnerName=', '-CameraOwnerName=', '-Software=', '-HostComputer=',
+                '-CreatorTool=', '-ImageUniqueID=', '-DocumentID=', '-OriginalDocumentID=', '-InstanceID='],
+        },{
+            id: 'all',
+            label: 'Remove everything except orientation and colour profile',
+            matches: (group, tag) => group !== 'ICC_Profile' && tag !== 'Orientation',
+            args: ['-all=', '--icc_profile:all', '-tagsfromfile', '@', '-Orientation'],
+        }];
+    }
+
+    /**
+     * @desc Construct and show the privacy clean dialog. A preset is picked
+     * for the current file or every selected file, and every tag that will be
+     * removed is listed before exiftool is run. The files can be cleaned in
+     * place or written to a copy named with a _clean suffix.
+     */
+    _showPrivacyClean() {
+        const presets = this._getPrivacyPresets();
+        const update = (widget, evt, self) => {
+            self._updatePrivacyPreview();
+        };
+
+        const presetCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: { name: 'privacy-preset', hexpand: true },
+            connect: { changed: update },
+        });
+        presets.forEach(preset => presetCombo.append(preset.id, preset.label));
+
+        const scopeCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: { name: 'privacy-scope', hexpand: true },
+            connect: { changed: update },
+        });
+        scopeCombo.append('current', 'Current file');
+        if (this.files.length > 1) {
+            scopeCombo.append('all', `All ${this.files.length} selected files`);
+        }
+
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'privacy-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+                attach: [
+                    { widget: presetCombo, left: 0, top: 0, width: 1, height: 1 },
+                    { widget: scopeCombo, left: 0, top: 1, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'CheckButton',
+                            properties: {
+                                name: 'privacy-copy',
+                                label: 'Write to a copy (name_clean.ext) instead of the original',
+                            },
+                        }),
+                        left: 0, top: 2, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._getPreviewWindow('privacy-preview'),
+                        left: 0, top: 3, width: 1, height: 1,
+                    },
+                ]
+            },
+        });
+
+        this._createDialog({
+            name: 'dialog-privacy',
+            modal: true,
+            title: 'Privacy Clean',
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Clean',
+                onClick(wgt, evt, self) {
+                    // read before the dialog is destroyed along with its widgets
+                    const preset = presets.find(preset => preset.id === presetCombo.get_active_id());
+                    const fileNumbers = self._getPrivacyFiles();
+                    const copy = self._widgetGetRef('privacy-copy').get_active();
+                    wgt.get_toplevel().destroy();
+                    self._writePrivacyClean(preset, fileNumbers, copy);
+                }
+            }]
+        });
+        presetCombo.set_active(0);
+        scopeCombo.set_active(0);
+    }
+
+    /**
+     * @desc Method to return the files chosen in the privacy clean dialog.
+     * @returns {array} an array of fileNumbers
+     */
+    _getPrivacyFiles() {
+        return this._widgetGetRef('privacy-scope').get_active_id() === 'all' ?
+            this.files.map((path, i) => i) : [this.fileNumber];
+    }
+
+    /**
+     * @desc Method to list every tag the chosen preset will remove from each
+     * of the chosen files in the privacy clean dialog.
+     */
+    _updatePrivacyPreview() {
+        const preview = this._widgetGetRef('privacy-preview-grid');
+        const presetId = this._widgetGetRef('privacy-preset').get_active_id();
+        const preset = this._getPrivacyPresets().find(preset => preset.id === presetId);
+        let top = 0;
+
+        if (!preset || !this._widgetGetRef('privacy-scope').get_active_id()) {
+            return;
+        }
+
+        preview.get_children().forEach(child => child.destroy());
+        this._getPrivacyFiles().forEach((fileNumber) => {
+            const output = this._getMetadata(fileNumber);
+            const tags = [];
+            Object.keys(output)
+                .filter(group => group !== 'File' && group !== 'Composite')
+                .forEach((group) => {
+                    output[group]
+                        .filter(item => preset.matches(group, item[2]))
+                        .forEach(item => tags.push(`${group}:${item[2]} = ${item[1]}`));
+                });
+
+            top = this._attachPreviewFile(preview, 'privacy-preview', top,
+                `${GLib.path_get_basename(this.files[fileNumber])} (${tags.length} tags)`,
+                tags.length ? tags.join('\n') : 'Nothing to remove', tags.length > 0);
+        });
+    }
+
+    /**
+     * @desc Method to remove the tags of a privacy preset from the files with
+     * exiftool, either in place or writing a _clean copy of each file. A file
+     * cleaned in place is overwritten without an _original backup, and the
+     * removed values are not kept in the change log, as both would still hold
+     * the tags. A backup left by an earlier write is pointed out so that it
+     * can be deleted.
+     * @param {object} preset the preset returned from _getPrivacyPresets
+     * @param {array} fileNumbers an array of the files to clean
+     * @param {boolean} copy whether to write a copy of each file
+     * @constant GLib.FileTest.EXISTS
+     */
+    _writePrivacyClean(preset, fileNumbers, copy) {
+        const paths = fileNumbers.map(fileNumber => this.files[fileNumber]);
+        const command = ['exiftool']
+            .concat(preset.args)
+            .concat(copy ? ['-o', '%d%f_clean.%e'] : ['-overwrite_original'])
+            .concat(paths);
+        const backups = copy ? [] : paths
+            .map(path => `${path}_original`)
+            .filter(path => GLib.file_test(path, GLib.FileTest.EXISTS));
+
+        this._spawn(command)
+            .then((output) => {
+                const errors = output.stderr.split('\n').filter(line => /^(Warning|Error)/.test(line));
+                if (backups.length) {
+                    errors.push(`These backups still have the tags that were removed:\n${backups.join('\n')}`);
+                }
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
+                }
+                if (!copy) {
+                    fileNumbers.forEach((fileNumber) => {
+                        this.edits[fileNumber] = {};
+                    });
+                    return this._reloadMetadata();
+                }
+                return undefined;
+            })
+            .catch(err => this._showMessage(err.toString()));
+    }
+
+    /**
+     * @desc Method to load the metadata templates from templates.json in the
+     * configuration directory. Each template is a name with an object of
+     * Group:Tag names and values, eg. { "Agency copyright": { "XMP-dc:Rights":
+     * "(c) {year} Agency" } }.
+     * @returns {object} the templates, empty if there is no file or it is not valid
+     */
+    _loadTemplates() {
+        try {
+            const [, contents] = GLib.file_get_contents(this._getConfigPath('templates.json'));
+            const templates = JSON.parse(ByteArray.toString(contents));
+            return templates && typeof templates === 'object' && !Array.isArray(templates) ? templates : {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    /**
+     * @desc Method to fill in the placeholders of a template value for a file:
+     * {year} the year it was captured (or this year), {filename} its name and
+     * {Tag} or {Group:Tag} the value of any of its tags. A placeholder for a
+     * tag the file does not have is left empty.
+     * @param {string} value the template value
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @returns {string} the value for the file
+     */
+    _expandTemplate(value, fileNumber) {
+        const output = this._getMetadata(fileNumber);
+        return String(value).replace(/\{([\w:-]+)\}/g, (match, name) => {
+            if (name === 'year') {
+                const date = this._getCaptureDate(fileNumber);
+                return date ? date.slice(0, 4) : `${GLib.DateTime.new_now_local().get_year()}`;
+            }
+            if (name === 'filename') {
+                return GLib.path_get_basename(this.files[fileNumber]);
+            }
+            if (name.includes(':')) {
+                return this._getTagValue(fileNumber, name) || '';
+            }
+            const group = Object.keys(output).find(key => output[key].some(item => item[2] === name));
+            return group ? this._getTagValue(fileNumber, `${group}:${name}`) : '';
+        });
+    }
+
+    /**
+     * @desc Method to return the changes a template makes to a file.
+     * @param {object} template the Group:Tag names and values of the template
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @returns {array} an array of { tag, from, to } for each tag of the template
+     */
+    _getTemplateChanges(template, fileNumber) {
+        return Object.keys(template).map(tag => ({
+            tag,
+            from: this._getTagValue(fileNumber, tag),
+            to: this._expandTemplate(template[tag], fileNumber),
+        }));
+    }
+
+    /**
+     * @desc Construct and show the dialog to apply a template to the current
+     * file or every selected file, listing the change to each tag before
+     * exiftool is run. If there are no templates the dialog says where to
+     * put them.
+     */
+    _showTemplates() {
+        const templates = this._loadTemplates();
+        const names = Object.keys(templates);
+        const update = (widget, evt, self) => {
+            self._updateTemplatePreview(templates);
+        };
+
+        if (!names.length) {
+            this._showMessage(`There are no templates yet, add them to ${this._getConfigPath('templates.json')}\n` +
+                'eg. { "Agency copyright": { "XMP-dc:Rights": "(c) {year} Agency" } }');
+            return;
+        }
+
+        const templateCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: { name: 'template-name', hexpand: true },
+            connect: { changed: update },
+        });
+        names.forEach(name => templateCombo.append(name, name));
+
+        const scopeCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: { name: 'template-scope', hexpand: true },
+            connect: { changed: update },
+        });
+        scopeCombo.append('current', 'Current file');
+        if (this.files.length > 1) {
+            scopeCombo.append('all', `All ${this.files.length} selected files`);
+        }
+
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'template-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+                attach: [
+                    { widget: templateCombo, left: 0, top: 0, width: 1, height: 1 },
+                    { widget: scopeCombo, left: 0, top: 1, width: 1, height: 1 },
+                    {
+                        widget: this._getPreviewWindow('template-preview'),
+                        left: 0, top: 2, width: 1, height: 1,
+                    },
+                ]
+            },
+        });
+
+        this._createDialog({
+            name: 'dialog-template',
+            modal: true,
+            title: 'Apply Template',
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Apply',
+                onClick(wgt, evt, self) {
+                    // read before the dialog is destroyed along with its widgets
+                    const template = templates[templateCombo.get_active_id()];
+                    const fileNumbers = self._getTemplateFiles();
+                    if (!template) {
+                        return;
+                    }
+                    wgt.get_toplevel().destroy();
+                    self._writeTemplate(template, fileNumbers);
+                }
+            }]
+        });
+        templateCombo.set_active(0);
+        scopeCombo.set_active(0);
+    }
+
+    /**
+     * @desc Method to return the files chosen in the template dialog.
+     * @returns {array} an array of fileNumbers
+     */
+    _getTemplateFiles() {
+        return this._widgetGetRef('template-scope').get_active_id() === 'all' ?
+            this.files.map((path, i) => i) : [this.fileNumber];
+    }
+
+    /**
+     * @desc Method to list the change the chosen template makes to each tag of
+     * each of the chosen files in the template dialog.
+     * @param {object} templates the templates from _loadTemplates
+     */
+    _updateTemplatePreview(templates) {
+        const preview = this._widgetGetRef('template-preview-grid');
+        const template = templates[this._widgetGetRef('template-name').get_active_id()];
+        let top = 0;
+
+        if (!template || !this._widgetGetRef('template-scope').get_active_id()) {
+            return;
+        }
+
+        preview.get_children().forEach(child => child.destroy());
+        this._getTemplateFiles().forEach((fileNumber) => {
+            const changes = this._getTemplateChanges(template, fileNumber);
+            top = this._attachPreviewFile(preview, 'template-preview', top,
+                GLib.path_get_basename(this.files[fileNumber]),
+                changes.map(change => (
+                    change.from === change.to ? `${change.tag} = ${change.to} (unchanged)` :
+                        `${change.tag} = ${change.from === undefined ? '(none)' : change.from} \u2192 ${change.to}`
+                )).join('\n'));
+        });
+    }
+
+    /**
+     * @desc Method to write a template to the files with exiftool.
+     * @param {object} template the Group:Tag names and values of the template
+     * @param {array} fileNumbers an array of the files to write to
+     */
+    _writeTemplate(template, fileNumbers) {
+        this._writeChanges(fileNumbers, fileNumber => this._getTemplateChanges(template, fileNumber));
+    }
+
+    /**
+     * @desc Method to write changes that can be different for each file with
+     * exiftool, so there is a command for each file (files without a change
+     * are left alone). Any warnings and errors are shown once every file has
+     * been written and the files are then read again.
+     * @param {array} fileNumbers an array of the files to write to
+     * @param {function} getChanges returns the array of { tag, to } changes for a file number
+     * @returns {object} a Promise that resolves once the files have been read again
+     */
+    _writeChanges(fileNumbers, getChanges) {
+        const changed = fileNumbers.filter(fileNumber => getChanges(fileNumber).length);
+        const commands = changed.map(fileNumber => ['exiftool', '-sep', ',']
+            .concat(getChanges(fileNumber).map(change => `-${change.tag}=${change.to}`))
+            .concat(this.files[fileNumber]));
+        const snapshot = this._getSnapshot(changed);
+
+        return this._runCommands(commands)
+            .then((outputs) => {
+                const errors = [];
+                outputs.forEach((output, i) => {
+                    output.stderr.split('\n')
+                        .filter(line => /^(Warning|Error)/.test(line))
+                        .forEach(line => errors.push(`${GLib.path_get_basename(this.files[changed[i]])}: ${line}`));
+                });
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
+                }
+                if (changed.length > 1) {
+                    return this._reloadMetadata();
+                }
+                return changed.length ? this._readFiles(changed)
+                    .then(data => this._readLocations(changed)
+                        .then(() => this._setMetadata(data, changed[0]))) : undefined;
+            })
+            .then(() => this._logChanges(snapshot))
+            .catch(err => this._showMessage(this._getErrorMessage(err)));
+    }
+
+    /**
+     * @desc Method to convert a date shift such as +1h, -30m, 3d 2h or
+     * 1:30:00 into seconds. A sign at the start applies to the whole shift.
+     * @param {string} text the date shift
+     * @returns {(number | undefined)} the shift in seconds or undefined if not valid
+     */
+    _parseDateShift(text) {
+        const units = { d: 86400, h: 3600, m: 60, s: 1 };
+        const match = /^\s*([+-]?)\s*((?:\d+\s*[a-z]+\s*)+)$/i.exec(text || '');
+        let seconds = 0;
+
+        if (!match) {
+            return this._parseTimeOffset(text);
+        }
+        const parts = match[2].match(/\d+\s*[a-z]+/gi);
+        for (let i = 0; i < parts.length; i++) {
+            const [, value, unit] = /(\d+)\s*([a-z])/i.exec(parts[i]);
+            if (!/^\d+\s*(d|days?|h|hours?|m|mins?|minutes?|s|secs?|seconds?)$/i.test(parts[i])) {
+                return undefined;
+            }
+            seconds += parseInt(value, 10) * units[unit.toLowerCase()];
+        }
+        return match[1] === '-' ? -seconds : seconds;
+    }
+
+    /**
+     * @desc Method to shift an exiftool date (YYYY:MM:DD HH:MM:SS with an
+     * optional time zone or sub seconds after it, which are kept) by a number
+     * of seconds. The date is treated as UTC so daylight saving is ignored.
+     * @param {string} value the date
+     * @param {number} seconds the shift in seconds
+     * @returns {(string | undefined)} the shifted date or undefined if it is not a date
+     */
+    _shiftDate(value, seconds) {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})(.*)$/.exec(value);
+        const pad = (number, length) => String(number).padStart(length || 2, '0');
+
+        if (!match || match[1] === '0000') {
+            return undefined;
+        }
+        const date = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+            parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6], 10)) + seconds * 1000);
+        return `${pad(date.getUTCFullYear(), 4)}:${pad(date.getUTCMonth() + 1)}:${pad(date.getUTCDate())} ` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}${match[7]}`;
+    }
+
+    /**
+     * @desc Method to return the date changes for a file: each of its date
+     * tags shifted and, if a time zone is given, OffsetTimeOriginal set.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @param {number} seconds the shift in seconds
+     * @param {string} zone the time zone (eg. +02:00) or an empty string to leave it
+     * @returns {array} an array of { tag, from, to } for each tag that changes
+     */
+    _getDateShiftChanges(fileNumber, seconds, zone) {
+        const tags = [
+            'EXIF:DateTimeOriginal', 'EXIF:CreateDate', 'EXIF:ModifyDate',
+            'QuickTime:CreateDate', 'QuickTime:ModifyDate', 'QuickTime:TrackCreateDate',
+            'QuickTime:TrackModifyDate', 'QuickTime:MediaCreateDate', 'QuickTime:MediaModifyDate',
+        ];
+        const changes = tags
+            .map((tag) => {
+                const from = this._getTagValue(fileNumber, tag);
+                return { tag, from, to: from && this._shiftDate(from, seconds) };
+            })
+            .filter(change => change.to !== undefined && change.to !== change.from);
+
+        if (zone && this._getTagValue(fileNumber, 'EXIF:OffsetTimeOriginal') !== zone) {
+            changes.push({
+                tag: 'EXIF:OffsetTimeOriginal',
+                from: this._getTagValue(fileNumber, 'EXIF:OffsetTimeOriginal'),
+                to: zone,
+            });
+        }
+        return changes;
+    }
+
+    /**
+     * @desc Construct and show the shift dates dialog. The date tags of the
+     * current file or every selected file are shifted by the same amount (eg.
+     * when a camera clock was wrong) and the time zone can be set, with the
+     * old and new value of each tag listed before exiftool is run.
+     */
+    _showDateShift() {
+        const update = (widget, evt, self) => {
+            self._updateDateShiftPreview();
+        };
+
+        const scopeCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: { name: 'date-shift-scope', hexpand: true },
+            connect: { changed: update },
+        });
+        scopeCombo.append('current', 'Current file');
+        if (this.files.length > 1) {
+            scopeCombo.append('all', `All ${this.files.length} selected files`);
+        }
+
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'date-shift-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+                attach: [
+                    { widget: scopeCombo, left: 0, top: 0, width: 2, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Label',
+                            properties: { name: 'date-shift-label', label: 'Shift by', xalign: 1 },
+                        }),
+                        left: 0, top: 1, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Entry',
+                            properties: {
+                                name: 'date-shift-offset',
+                                placeholder_text: 'eg. +1h, -30m, 3d 2h or 1:30:00',
+                                hexpand: true,
+                            },
+                            connect: { changed: update },
+                        }),
+                        left: 1, top: 1, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'CheckButton',
+                            properties: { name: 'date-shift-set-zone', label: 'Set time zone' },
+                            connect: { toggled: update },
+                        }),
+                        left: 0, top: 2, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Entry',
+                            properties: {
+                                name: 'date-shift-zone',
+                                placeholder_text: 'eg. +02:00',
+                                hexpand: true,
+                            },
+                            connect: { changed: update },
+                        }),
+                        left: 1, top: 2, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._getPreviewWindow('date-shift-preview'),
+                        left: 0, top: 3, width: 2, height: 1,
+                    },
+                ]
+            },
+        });
+
+        this._createDialog({
+            name: 'dialog-date-shift',
+            modal: true,
+            title: 'Shift Dates',
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Shift',
+                onClick(wgt, evt, self) {
+                    const shift = self._getDateShift();
+                    if (!shift) {
+                        return;
+                    }
+                    wgt.get_toplevel().destroy();
+                    self._writeChanges(shift.fileNumbers, fileNumber => (
+                        self._getDateShiftChanges(fileNumber, shift.seconds, shift.zone)
+                    ));
+                }
+            }]
+        });
+        scopeCombo.set_active(0);
+    }
+
+    /**
+     * @desc Method to return the shift chosen in the shift dates dialog.
+     * @returns {(object | undefined)} the fileNumbers, seconds and zone or undefined if they are not valid
+     */
+    _getDateShift() {
+        const seconds = this._parseDateShift(this._widgetGetRef('date-shift-offset').get_text());
+        const setZone = this._widgetGetRef('date-shift-set-zone').get_active();
+        const zone = this._widgetGetRef('date-shift-zone').get_text().trim();
+
+        if (seconds === undefined || (setZone && !/^[+-]\d{2}:\d{2}$/.test(zone))) {
+            return undefined;
+        }
+        return {
+            fileNumbers: this._widgetGetRef('date-shift-scope').get_active_id() === 'all' ?
+                this.files.map((path, i) => i) : [this.fileNumber],
+            seconds,
+            zone: setZone ? zone : '',
+        };
+    }
+
+    /**
+     * @desc Method to list the old and new value of each date tag of each of
+     * the chosen files in the shift dates dialog.
+     */
+    _updateDateShiftPreview() {
+        const preview = this._widgetGetRef('date-shift-preview-grid');
+        const shift = this._getDateShift();
+        let top = 0;
+
+        preview.get_children().forEach(child => child.destroy());
+        if (!shift) {
+            preview.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: 'date-shift-preview-invalid',
+                    label: 'Enter a shift (eg. +1h) and a time zone like +02:00',
+                    xalign: 0,
+                    sensitive: false,
+                },
+            }), 0, 0, 1, 1);
+            return;
+        }
+
+        shift.fileNumbers.forEach((fileNumber) => {
+            const changes = this._getDateShiftChanges(fileNumber, shift.seconds, shift.zone);
+            top = this._attachPreviewFile(preview, 'date-shift-preview', top,
+                GLib.path_get_basename(this.files[fileNumber]),
+                changes.length ? changes.map(change => (
+                    `${change.tag} = ${change.from === undefined ? '(none)' : change.from} \u2192 ${change.to}`
+                )).join('\n') : 'No dates to change', changes.length > 0);
+        });
+    }
+
+    /**
+     * @desc Method to return the new name of a file from a rename pattern.
+     * The placeholders are {name} and {ext} (the name and extension of the
+     * file now), {seq} or {seq:3} (the number of the file, padded to 3 digits)
+     * and {Tag} or {Group:Tag} for the value of a tag. A date tag can be
+     * formatted with strftime codes, eg. {DateTimeOriginal:%Y%m%d}. Slashes in
+     * values are replaced so that the file stays in its folder.
+     * @param {string} pattern the rename pattern
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @param {number} seq the number of the file among the files being renamed, from 1
+     * @returns {string} the new name
+     */
+    _getRenameName(pattern, fileNumber, seq) {
+        const output = this._getMetadata(fileNumber);
+        const basename = GLib.path_get_basename(this.files[fileNumber]);
+        const dot = basename.lastIndexOf('.');
+
+        return pattern.replace(/\{([^{}]+)\}/g, (match, placeholder) => {
+            const seqMatch = /^seq(?::(\d+))?$/.exec(placeholder);
+            const tagMatch = /^(?:([\w-]+):)?(\w+)(?::(.+))?$/.exec(placeholder);
+            let value;
+
+            if (placeholder === 'name') {
+                value = dot > 0 ? basename.slice(0, dot) : basename;
+            } else if (placeholder === 'ext') {
+                value = dot > 0 ? basename.slice(dot + 1) : '';
+            } else if (seqMatch) {
+                value = String(seq).padStart(parseInt(seqMatch[1] || '1', 10), '0');
+            } else if (tagMatch) {
+                const group = tagMatch[1] || Object.keys(output).find(key => (
+                    output[key].some(item => item[2] === tagMatch[2])
+                ));
+                value = group ? this._getTagValue(fileNumber, `${group}:${tagMatch[2]}`) || '' : '';
+                if (value && tagMatch[3]) {
+                    value = this._formatDate(value, tagMatch[3]);
+                }
+            }
+            return (value || '').replace(/[\/\x00-\x1f]/g, '_').trim();
+        });
+    }
+
+    /**
+     * @desc Method to format an exiftool date (YYYY:MM:DD HH:MM:SS) with
+     * strftime codes.
+     * @external GLib.DateTime
+     * @param {string} value the date
+     * @param {string} format the strftime format, eg. %Y%m%d_%H%M%S
+     * @returns {string} the formatted date, or an empty string if the value is not a date
+     */
+    _formatDate(value, format) {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value);
+        const parts = match ? match.slice(1).map(part => parseInt(part, 10)) : [];
+        const date = match && parts[0] ? GLib.DateTime.new_utc(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5]) : null;
+        return date ? date.format(format) || '' : '';
+    }
+
+    /**
+     * @desc Method to work out the new name of each file being renamed and
+     * whether it can be renamed: a name that is empty, is used for more than
+     * one file or is taken by a file that is not being renamed is a problem.
+     * @param {string} pattern the rename pattern
+     * @param {array} fileNumbers an array of the files to rename
+     * @external GLib
+     * @constant GLib.FileTest.EXISTS
+     * @returns {array} an array of { fileNumber, from, to, problem } in the order of fileNumbers
+     */
+    _getRenames(pattern, fileNumbers) {
+        const renames = fileNumbers.map((fileNumber, i) => {
+            const from = this.files[fileNumber];
+            const name = this._getRenameName(pattern, fileNumber, i + 1);
+            return {
+                fileNumber,
+                from,
+                to: GLib.build_filenamev([GLib.path_get_dirname(from), name]),
+                name,
+            };
+        });
+        const sources = renames.map(rename => rename.from);
+
+        renames.forEach((rename) => {
+            if (!rename.name || rename.name.startsWith('.')) {
+                rename.problem = 'No name';
+            } else if (renames.filter(other => other.to === rename.to).length > 1) {
+                rename.problem = 'Same name as another file';
+            } else if (rename.to !== rename.from && sources.indexOf(rename.to) === -1 &&
+                GLib.file_test(rename.to, GLib.FileTest.EXISTS)) {
+                rename.problem = 'A file with this name already exists';
+            }
+        });
+        return renames;
+    }
+
+    /**
+     * @desc Construct and show the rename dialog. The new name of the current
+     * file or every selected file is made from a pattern of tags and shown
+     * next to the old name, with any clash, before the files are renamed.
+     */
+    _showRename() {
+        const update = (widget, evt, self) => {
+            self._updateRenamePreview();
+        };
+
+        const scopeCombo = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: { name: 'rename-scope', hexpand: true },
+            connect: { changed: update },
+        });
+        scopeCombo.append('current', 'Current file');
+        if (this.files.length > 1) {
+            scopeCombo.append('all', `All ${this.files.length} selected files`);
+        }
+
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'rename-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+                attach: [
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Entry',
+                            properties: {
+                                name: 'rename-pattern',
+                                text: this.settings.renamePattern,
+                                tooltip_markup: '{name}, {ext}, {seq:3}, {Model}, {EXIF:Model} or ' +
+                                    '{DateTimeOriginal:%Y%m%d_%H%M%S}',
+                                hexpand: true,
+                            },
+                            connect: { changed: update },
+                        }),
+                        left: 0, top: 0, width: 1, height: 1,
+                    },
+                    { widget: scopeCombo, left: 0, top: 1, width: 1, height: 1 },
+                    {
+                        widget: this._getPreviewWindow('rename-preview', [560, 300], 10),
+                        left: 0, top: 2, width: 1, height: 1,
+                    },
+                ]
+            },
+        });
+
+        this._createDialog({
+            name: 'dialog-rename',
+            modal: true,
+            title: 'Rename Files',
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Rename',
+                onClick(wgt, evt, self) {
+                    const pattern = self._widgetGetRef('rename-pattern').get_text();
+                    const renames = self._getRenames(pattern, self._getRenameFiles());
+                    if (renames.some(rename => rename.problem)) {
+                        self._showMessage('Some files cannot be renamed, change the pattern so that every name is different');
+                        return;
+                    }
+                    wgt.get_toplevel().destroy();
+                    self.settings.renamePattern = pattern;
+                    try {
+                        self._saveSettings();
+                    } catch (err) {
+                        self._showMessage(`Unable to save the rename pattern: ${err.message}`);
+                    }
+                    self._renameFiles(renames.filter(rename => rename.to !== rename.from));
+                }
+            }]
+        });
+        scopeCombo.set_active(0);
+    }
+
+    /**
+     * @desc Method to return the files chosen in the rename dialog.
+     * @returns {array} an array of fileNumbers
+     */
+    _getRenameFiles() {
+        return this._widgetGetRef('rename-scope').get_active_id() === 'all' ?
+            this.files.map((path, i) => i) : [this.fileNumber];
+    }
+
+    /**
+     * @desc Method to list the old and new name of each of the chosen files in
+     * the rename dialog, with the problem next to any that cannot be renamed.
+     * @constant Pango.EllipsizeMode.MIDDLE
+     */
+    _updateRenamePreview() {
+        const preview = this._widgetGetRef('rename-preview-grid');
+        const pattern = this._widgetGetRef('rename-pattern').get_text();
+
+        if (!this._widgetGetRef('rename-scope').get_active_id()) {
+            return;
+        }
+
+        preview.get_children().forEach(child => child.destroy());
+        this._getRenames(pattern, this._getRenameFiles()).forEach((rename, i) => {
+            [
+                GLib.path_get_basename(rename.from),
+                '\u2192',
+                rename.name,
+                rename.problem || '',
+            ].forEach((label, left) => {
+                preview.attach(this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: `rename-preview-${i}-${left}`,
+                        label,
+                        xalign: 0,
+                        selectable: left !== 1,
+                        ellipsize: Pango.EllipsizeMode.MIDDLE,
+                        max_width_chars: 32,
+                        set_style: left === 3 ? ' label { color: #c01c28; }' : '',
+                    },
+                }), left, i, 1, 1);
+            });
+        });
+    }
+
+    /**
+     * @desc Method to rename files with Gio.File.set_display_name. If a new
+     * name is the old name of another file being renamed, every file is
+     * first given a temporary name so that no file is overwritten. If a file
+     * cannot be renamed, the files already renamed are given their old names
+     * back so no file is left with a temporary name. The files that were
+     * renamed are kept so the rename can be undone, and the metadata is read
+     * again from the new paths.
+     * @param {array} renames an array of { fileNumber, from, to } from _getRenames
+     */
+    _renameFiles(renames) {
+        const sources = renames.map(rename => rename.from);
+        const steps = renames.some(rename => sources.indexOf(rename.to) !== -1) ?
+            [
+                renames.map((rename, i) => ({
+                    rename,
+                    to: GLib.build_filenamev([GLib.path_get_dirname(rename.from), `.rename-${i}-${GLib.path_get_basename(rename.to)}`]),
+                })),
+                renames.map(rename => ({ rename, to: rename.to })),
+            ] : [renames.map(rename => ({ rename, to: rename.to }))];
+        const applied = [];
+        let done = [];
+
+        if (!renames.length) {
+            return;
+        }
+        try {
+            steps.forEach((step) => {
+                step.forEach((item) => {
+                    const from = this.files[item.rename.fileNumber];
+                    this._renameFile(item.rename.fileNumber, item.to);
+                    applied.push({ fileNumber: item.rename.fileNumber, from, to: item.to });
+                });
+            });
+            done = renames.map(rename => ({ fileNumber: rename.fileNumber, from: rename.from, to: rename.to }));
+        } catch (err) {
+            // undo in reverse order, which never overwrites a file when names are swapped
+            const failed = applied.reverse().filter((item) => {
+                try {
+                    this._renameFile(item.fileNumber, item.from);
+                    return false;
+                } catch (rollbackErr) {
+                    return true;
+                }
+            });
+            this._showMessage(failed.length ?
+                `Unable to rename every file: ${err.message}. These files could not be given their old names back: ` +
+                    `${failed.map(item => `${item.to} (was ${item.from})`).join(', ')}` :
+                `Unable to rename the files, no file was renamed: ${err.message}`);
+        }
+
+        this.lastRename = done;
+        this.application.lookup_action('undo-rename').set_enabled(done.length > 0);
+        this._saveChangeLog();
+        this._reloadMetadata().catch(err => this._showMessage(this._getErrorMessage(err)));
+    }
+
+    /**
+     * @desc Method to rename the files of the last rename back to their old names.
+     */
+    _undoRename() {
+        const renames = (this.lastRename || []).map(rename => ({
+            fileNumber: rename.fileNumber,
+            from: rename.to,
+            to: rename.from,
+        }));
+        this._renameFiles(renames);
+        this.lastRename = [];
+        this.application.lookup_action('undo-rename').set_enabled(false);
+    }
+
+    /**
+     * @desc Method to rename a file within its folder and change its path.
+     * The <file>_original backup exiftool keeps of a file is renamed with it,
+     * so that the original can still be restored. If the backup cannot be
+     * renamed the file is given its old name back.
+     * @param {number} fileNumber a number indicating which file to rename
+     * @param {string} path the new path of the file, in the same folder
+     * @external Gio.File
+     * @constant GLib.FileTest.EXISTS
+     */
+    _renameFile(fileNumber, path) {
+        const from = this.files[fileNumber];
+        const file = Gio.File.new_for_path(from).set_display_name(GLib.path_get_basename(path), null);
+
+        if (GLib.file_test(`${from}_original`, GLib.FileTest.EXISTS)) {
+            try {
+                Gio.File.new_for_path(`${from}_original`)
+                    .set_display_name(`${GLib.path_get_basename(path)}_original`, null);
+            } catch (err) {
+                file.set_display_name(GLib.path_get_basename(from), null);
+                throw err;
+            }
+        }
+        this._setFilePath(fileNumber, path);
+    }
+
+    /**
+     * @desc Method to change the path of a file after it has been renamed,
+     * including in the folders it was read from.
+     * @param {number} fileNumber a number indicating which file was renamed
+     * @param {string} path the new path of the file
+     */
+    _setFilePath(fileNumber, path) {
+        const from = this.files[fileNumber];
+        this.files[fileNumber] = path;
+        this.folders.forEach((folder) => {
+            folder.files = folder.files.map(file => (file === from ? path : file));
+        });
+        this.changeLog
+            .filter(entry => entry.file === from)
+            .forEach((entry) => {
+                entry.file = path;
+            });
+    }
+
+    /**
+     * @desc Method to convert a time offset such as +1:00:00, -30:00 or 90
+     * into seconds. Values are read from the right as seconds, minutes and
+     * then hours.
+     * @param {string} text the time offset
+     * @returns {(number | undefined)} the offset in seconds or undefined if not valid
+     */
+    _parseTimeOffset(text) {
+        const match = /^\s*([+-]?)(\d+(?::\d+){0,2})\s*$/.exec(text || '0');
+        if (!match) {
+            return undefined;
+        }
+        const seconds = match[2].split(':')
+            .reverse()
+            .reduce((total, value, i) => total + parseInt(value, 10) * Math.pow(60, i), 0);
+        return match[1] === '-' ? -seconds : seconds;
+    }
+
+    /**
+     * @desc Method to convert an exiftool date/time value into seconds since
+     * the epoch. Like exiftool, a value without a time zone is taken to be in
+     * the local time zone.
+     * @param {string} value the date/time value, eg. 2019:03:02 10:11:12
+     * @external GLib.DateTime
+     * @returns {(number | undefined)} the time or undefined if the value is not a date/time
+     */
+    _parseDateTime(value) {
+        const match = /^(\d{4}):(\d\d):(\d\d) (\d\d):(\d\d):(\d\d)(?:\.\d+)?(Z|[+-]\d\d:?\d\d)?/
+            .exec(value || '');
+        if (!match) {
+            return undefined;
+        }
+        const zone = match[7] ? GLib.TimeZone.new(match[7]) : GLib.TimeZone.new_local();
+        const parts = match.slice(1, 7).map(Number);
+        const date = GLib.DateTime.new(zone, parts[0], parts[1], parts[2], parts[3], parts[4], parts[5]);
+        return date ? date.to_unix() : undefined;
+    }
+
+    /**
+     * @desc Construct and show the dialog to geotag the selected files from
+     * a GPX or KML track. The position each file will be given is previewed
+     * as the track, time offset and tolerance are changed, and can be shown on
+     * the map before it is written with the exiftool geotag feature.
+     * @constant Gtk.FileChooserAction.OPEN
+     */
+    _showGeotag() {
+        const filter = new Gtk.FileFilter();
+        filter.set_name('GPX and KML tracks');
+        ['*.gpx', '*.GPX', '*.kml', '*.KML'].forEach(pattern => filter.add_pattern(pattern));
+        this.geotag = { points: [], results: [] };
+
+        const label = (name, text) => this._widgetConstruct({
+            type: 'Label',
+            properties: { name, label: text, xalign: 1 },
+        });
+
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'geotag-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+                attach: [
+                    { widget: label('geotag-track-label', 'Track'), left: 0, top: 0, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'FileChooserButton',
+                            properties: {
+                                name: 'geotag-track',
+                                title: 'Choose a GPX or KML Track',
+                                action: Gtk.FileChooserAction.OPEN,
+                                filter,
+                                hexpand: true,
+                            },
+                            connect: {
+                                file_set(widget, evt, self) {
+                                    self._loadGeotagTrack(widget.get_filename());
+                                }
+                            }
+                        }),
+                        left: 1, top: 0, width: 1, height: 1,
+                    },
+                    { widget: label('geotag-offset-label', 'Time offset'), left: 0, top: 1, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Entry',
+                            properties: {
+                                name: 'geotag-offset',
+                                placeholder_text: '+0:00:00',
+                                tooltip_markup: 'Time to add to the camera clock to match the GPS time',
+                            },
+                            connect: {
+                                changed(widget, evt, self) {
+                                    self._updateGeotagPreview();
+                                }
+                            }
+                        }),
+                        left: 1, top: 1, width: 1, height: 1,
+                    },
+                    { widget: label('geotag-tolerance-label', 'Tolerance (seconds)'), left: 0, top: 2, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'SpinButton',
+                            properties: {
+                                name: 'geotag-tolerance',
+                                adjustment: new Gtk.Adjustment({
+                                    lower: 0,
+                                    upper: 86400,
+                                    step_increment: 60,
+                                    page_increment: 600,
+                                    value: 1800,
+                                }),
+                                tooltip_markup: 'The longest time from a GPS fix to still place a file',
+                            },
+                            connect: {
+                                value_changed(widget, evt, self) {
+                                    self._updateGeotagPreview();
+                                }
+                            }
+                        }),
+                        left: 1, top: 2, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'CheckButton',
+                            properties: {
+                                name: 'geotag-overwrite',
+                                label: 'Replace existing locations',
+                            },
+                            connect: {
+                                toggled(widget, evt, self) {
+                                    self._updateGeotagPreview();
+                                }
+                            }
+                        }),
+                        left: 1, top: 3, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._getPreviewWindow('geotag-preview', [-1, 240], 10),
+                        left: 0, top: 4, width: 2, height: 1,
+                    },
+                ]
+            },
+        });
+
+        this._createDialog({
+            name: 'dialog-geotag',
+            title: 'Apply GPS Track',
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt, evt, self) {
+                    wgt.get_toplevel().destroy();
+                    self._setGeotagPreview(false);
+                }
+            },{
+                label: 'Preview on Map',
+                onClick(wgt, evt, self) {
+                    self._setGeotagPreview(true);
+                }
+            },{
+                label: 'Apply',
+                onClick(wgt, evt, self) {
+                    if (self._writeGeotag()) {
+                        wgt.get_toplevel().destroy();
+                    }
+                }
+            }]
+        });
+        this._updateGeotagPreview();
+    }
+
+    /**
+     * @desc Method to read the chosen track file and update the preview.
+     * @param {string} path the path of the GPX or KML file
+     */
+    _loadGeotagTrack(path) {
+        try {
+            const [, contents] = GLib.file_get_contents(path);
+            this.geotag.path = path;
+            this.geotag.points = Track.parse(ByteArray.toString(contents));
+        } catch (err) {
+            this.geotag.points = [];
+            this._showMessage(err.toString());
+        }
+        this._updateGeotagPreview();
+    }
+
+    /**
+     * @desc Method to work out the position each selected file will be given
+     * from the track and list them in the geotag dialog. Files without a
+     * DateTimeOriginal, or that already have a location (unless replacing),
+     * are listed but skipped.
+     */
+    _updateGeotagPreview() {
+        const preview = this._widgetGetRef('geotag-preview-grid');
+        const offset = this._parseTimeOffset(this._widgetGetRef('geotag-offset').get_text());
+        const tolerance = this._widgetGetRef('geotag-tolerance').get_value();
+        const overwrite = this._widgetGetRef('geotag-overwrite').get_active();
+
+        this.geotag.offset = offset;
+        this.geotag.tolerance = tolerance;
+        this.geotag.results = this.files.map((path, fileNumber) => {
+            const time = this._parseDateTime(this._getTagValue(fileNumber, 'EXIF:DateTimeOriginal'));
+            let location;
+            let status;
+
+            if (!this.geotag.points.length) {
+                status = 'Choose a track';
+            } else if (offset === undefined) {
+                status = 'Invalid time offset';
+            } else if (time === undefined) {
+                status = 'No DateTimeOriginal';
+            } else if (this.locations[fileNumber] && !overwrite) {
+                status = 'Already has a location';
+            } else {
+                location = Track.locate(this.geotag.points, time + offset, tolerance);
+                status = location ?
+                    `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}` :
+                    'No GPS fix within the tolerance';
+            }
+            return { fileNumber, location, status };
+        });
+
+        preview.get_children().forEach(child => child.destroy());
+        this.geotag.results.forEach((result, i) => {
+            preview.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `geotag-preview-file-${i}`,
+                    label: GLib.path_get_basename(this.files[result.fileNumber]),
+                    xalign: 0,
+                    max_width_chars: 30,
+                    ellipsize: Pango.EllipsizeMode.MIDDLE,
+                },
+            }), 0, i, 1, 1);
+            preview.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `geotag-preview-status-${i}`,
+                    label: result.status,
+                    xalign: 0,
+                    selectable: true,
+                    sensitive: result.location !== undefined,
+                },
+            }), 1, i, 1, 1);
+        });
+    }
+
+    /**
+     * @desc Method to show (or stop showing) the positions from the geotag
+     * dialog on the map, in place of the location stored in each file.
+     * @param {boolean} show whether the positions should be shown
+     */
+    _setGeotagPreview(show) {
+        const hadPreview = this.geotagPreview !== undefined;
+        this.geotagPreview = undefined;
+
+        if (show) {
+            this.geotagPreview = {};
+            this.geotag.results
+                .filter(result => result.location)
+                .forEach((result) => {
+                    this.geotagPreview[result.fileNumber] = result.location;
+                });
+        }
+
+        if (show || hadPreview) {
+            this._updateUI();
+        }
+
+        if (show && this._widgetGetRef('metadata-stack').get_child_by_name('metadata-map-grid')) {
+            this._widgetGetRef('metadata-stack').set_visible_child_name('metadata-map-grid');
+        }
+    }
+
+    /**
+     * @desc Method to write the positions from the track to the files that
+     * were matched, with the exiftool geotag feature using the same offset
+     * and tolerance as the preview.
+     * @returns {boolean} false if there was nothing to write
+     */
+    _writeGeotag() {
+        const fileNumbers = this.geotag.results
+            .filter(result => result.location)
+            .map(result => result.fileNumber);
+        const files = fileNumbers.map(fileNumber => this.files[fileNumber]);
+        const snapshot = this._getSnapshot(fileNumbers);
+        const offset = Math.abs(this.geotag.offset);
+        const pad = value => String(value).padStart(2, '0');
+        const geosync = `${this.geotag.offset < 0 ? '-' : '+'}${Math.floor(offset / 3600)}:` +
+            `${pad(Math.floor(offset % 3600 / 60))}:${pad(offset % 60)}`;
+
+        if (!files.length) {
+            return false;
+        }
+
+        const command = [
+            'exiftool',
+            '-geotag', this.geotag.path,
+            `-geosync=${geosync}`,
+            '-api', `GeoMaxIntSecs=${this.geotag.tolerance}`,
+            '-api', `GeoMaxExtSecs=${this.geotag.tolerance}`,
+            '-geotime<DateTimeOriginal',
+        ].concat(files);
+
+        this._setGeotagPreview(false);
+        this._spawn(command)
+            .then((output) => {
+                const errors = output.stderr.split('\n').filter(line => /^(Warning|Error)/.test(line));
+                if (errors.length) {
+                    this._showMessage(errors.join('\n'));
+                }
+                return this._reloadMetadata();
+            })
+            .then(() => this._logChanges(snapshot))
+            .catch(err => this._showMessage(err.toString()));
+        return true;
+    }
+
+    /**
+     * @desc Method to return the images embedded in a file, found from the
+     * binary tags with an image name (eg. ThumbnailImage, PreviewImage,
+     * JpgFromRaw or the CoverArt of audio files).
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @returns {array} an array of images with the Group:Tag name, desc and size in bytes
+     */
+    _getEmbeddedImages(fileNumber) {
+        const output = this._getMetadata(fileNumber);
+        const images = [];
+        Object.keys(output).forEach((group) => {
+            output[group].forEach((item) => {
+                const binary = /^\(Binary data (\d+) bytes/.exec(item[1].toString());
+                if (binary && /Image$|^JpgFromRaw$|TIFF$|^CoverArt$|^Picture$/.test(item[2])) {
+                    images.push({ tag: `${group}:${item[2]}`, desc: item[0], size: parseInt(binary[1], 10) });
+                }
+            });
+        });
+        return images.sort((a, b) => a.size - b.size);
+    }
+
+    /**
+     * @desc Method to extract an embedded image from a file with exiftool -b.
+     * The data is kept until the metadata of the file is read again.
+     * @param {number} fileNumber a number indicating which file to extract from
+     * @param {string} tag the Group:Tag name of the image
+     * @returns {Uint8Array} the promised image data
+     */
+    _getEmbeddedImage(fileNumber, tag) {
+        const key = `${fileNumber}:${tag}`;
+        if (!this.images[key]) {
+            this.images[key] = this._spawn(['exiftool', '-b', `-${tag}`, this.files[fileNumber]], true)
+                .then(output => output.stdout);
+        }
+        return this.images[key];
+    }
+
+    /**
+     * @desc Method to create a pixbuf no larger than size from image data,
+     * rotated to match the Orientation of the file.
+     * @param {number} fileNumber a number indicating which file the image is from
+     * @param {Uint8Array} data the image data
+     * @param {number} size the largest width or height of the pixbuf
+     * @external GdkPixbuf.PixbufLoader
+     * @returns {(object | null)} the pixbuf with the full width and height of the image, or null if the data is not an image
+     * @property {object} pixbuf GdkPixbuf.Pixbuf
+     * @property {number} width the width of the full size image
+     * @property {number} height the height of the full size image
+     */
+    _getPixbuf(fileNumber, data, size) {
+        const rotations = {
+            'Rotate 90 CW': GdkPixbuf.PixbufRotation.CLOCKWISE,
+            'Rotate 180': GdkPixbuf.PixbufRotation.UPSIDEDOWN,
+            'Rotate 270 CW': GdkPixbuf.PixbufRotation.COUNTERCLOCKWISE,
+        };
+        const rotation = rotations[this._getTagValue(fileNumber, 'EXIF:Orientation')];
+        let pixbuf;
+
+        try {
+            const loader = new GdkPixbuf.PixbufLoader();
+            loader.write(data);
+            loader.close();
+            pixbuf = loader.get_pixbuf();
+        } catch (err) {
+            return null;
+        }
+
+        const width = pixbuf.get_width();
+        const height = pixbuf.get_height();
+        const scale = Math.min(1, size / Math.max(width, height));
+        const turned = rotation === GdkPixbuf.PixbufRotation.CLOCKWISE ||
+            rotation === GdkPixbuf.PixbufRotation.COUNTERCLOCKWISE;
+
+        if (scale < 1) {
+            pixbuf = pixbuf.scale_simple(Math.max(1, Math.round(width * scale)),
+                Math.max(1, Math.round(height * scale)), GdkPixbuf.InterpType.BILINEAR);
+        }
+        return {
+            pixbuf: rotation ? pixbuf.rotate_simple(rotation) : pixbuf,
+            width: turned ? height : width,
+            height: turned ? width : height,
+        };
+    }
+
+    /**
+     * @desc Method to return a thumbnail of a file from the smallest embedded
+     * image, or for images without an embedded image from the file itself if
+     * GdkPixbuf can read it.
+     * @external GdkPixbuf
+     * @param {number} fileNumber a number indicating which file to use
+     * @param {number} size the largest width or height of the thumbnail
+     * @returns {(object | null)} a promised GdkPixbuf.Pixbuf or null if there is no thumbnail
+     */
+    _getThumbnail(fileNumber, size) {
+        const images = this._getEmbeddedImages(fileNumber);
+
+        if (images.length) {
+            return this._getEmbeddedImage(fileNumber, images[0].tag)
+                .then((data) => {
+                    const image = this._getPixbuf(fileNumber, data, size);
+                    return image ? image.pixbuf : null;
+                });
+        }
+        if (!/^image\//.test(this._getTagValue(fileNumber, 'File:MIMEType') || '')) {
+            return Promise.resolve(null);
+        }
+        return new Promise((resolve) => {
+            let stream;
+            try {
+                stream = Gio.File.new_for_path(this.files[fileNumber]).read(null);
+            } catch (err) {
+                resolve(null);
+                return;
+            }
+            GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream, size, size, true, null, (source, res) => {
+                try {
+                    resolve(GdkPixbuf.Pixbuf.new_from_stream_finish(res).apply_embedded_orientation());
+                } catch (err) {
+                    // not a format GdkPixbuf can read, so keep the MIME type icon
+                    resolve(null);
+                }
+                stream.close(null);
+            });
+        });
+    }
+
+    /**
+     * @desc Method to show the thumbnail of the current file in the header in
+     * place of the MIME type icon.
+     * @param {number} fileNumber a number indicating which file to show
+     */
+    _loadHeaderImage(fileNumber) {
+        const fileicon = this._widgetGetRef('file-icon');
+        this._getThumbnail(fileNumber, this.HEADER_IMAGE_SIZE)
+            .then((pixbuf) => {
+                if (pixbuf && fileNumber === this.fileNumber) {
+                    fileicon.set_from_pixbuf(pixbuf);
+                }
+            })
+            .catch(err => this._showMessage(this._getErrorMessage(err)));
+    }
+
+    /**
+     * @desc Method to construct the page of the stack listing the images
+     * embedded in the current file, with a preview, the size and a button to
+     * save each one. The images are only extracted for the previews once the
+     * page is shown, as a raw file can hold several large images.
+     * @param {array} images the images returned from _getEmbeddedImages
+     * @constant Gtk.ShadowType.NONE
+     * @returns {object} Gtk.ScrolledWindow
+     */
+    _getImagesPage(images) {
+        const fileNumber = this.fileNumber;
+        const previews = [];
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'metadata-images-grid',
+                row_spacing: 10,
+                column_spacing: 10,
+            },
+        });
+
+        images.forEach((image, i) => {
+            const preview = this._widgetConstruct({
+                type: 'Image',
+                properties: {
+                    name: `metadata-images-preview-${i}`,
+                    icon_name: 'image-x-generic',
+                    icon_size: Gtk.IconSize.DIALOG,
+                    set_size_request: [this.HEADER_IMAGE_SIZE, -1],
+                },
+            });
+            const label = this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `metadata-images-label-${i}`,
+                    label: `${image.desc}\n${image.tag}\n${GLib.format_size(image.size)}`,
+                    xalign: 0,
+                    hexpand: true,
+                    selectable: true,
+                },
+            });
+
+            grid.attach(preview, 0, i, 1, 1);
+            grid.attach(label, 1, i, 1, 1);
+            grid.attach(this._widgetConstruct({
+                type: 'Button',
+                properties: {
+                    name: `metadata-images-save-${i}`,
+                    label: 'Save As...',
+                    valign: Gtk.Align.CENTER,
+                },
+                connect: {
+                    clicked(widget, evt, self) {
+                        self._saveEmbeddedImage(fileNumber, image);
+                    }
+                }
+            }), 2, i, 1, 1);
+            previews.push({ image, preview, label });
+        });
+
+        return this._widgetConstruct({
+            type: 'ScrolledWindow',
+            properties: {
+                name: 'metadata-images',
+                set_shadow_type: Gtk.ShadowType.NONE,
+                add: grid,
+            },
+            connect: {
+                map(widget, evt, self) {
+                    previews.splice(0).forEach(({ image, preview, label }) => {
+                        self._getEmbeddedImage(fileNumber, image.tag)
+                            .then((data) => {
+                                const loaded = self._getPixbuf(fileNumber, data, self.HEADER_IMAGE_SIZE);
+                                if (loaded) {
+                                    // the dimensions are only known once the image is loaded
+                                    preview.set_from_pixbuf(loaded.pixbuf);
+                                    label.set_text(`${image.desc}\n${image.tag}\n${GLib.format_size(image.size)}, ` +
+                                        `${loaded.width} \u00d7 ${loaded.height}`);
+                                }
+                            })
+                            .catch(err => self._showMessage(self._getErrorMessage(err)));
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * @desc Method to save an embedded image to a file chosen by the user.
+     * The extension is picked from the type of the image data.
+     * @param {number} fileNumber a number indicating which file the image is from
+     * @param {object} image the image returned from _getEmbeddedImages
+     * @constant Gtk.FileChooserAction.SAVE
+     */
+    _saveEmbeddedImage(fileNumber, image) {
+        this._getEmbeddedImage(fileNumber, image.tag)
+            .then((data) => {
+                let extension = 'bin';
+                if (data[0] === 0xFF && data[1] === 0xD8) {
+                    extension = 'jpg';
+                } else if (data[0] === 0x89 && data[1] === 0x50) {
+                    extension = 'png';
+                } else if ((data[0] === 0x49 && data[1] === 0x49) || (data[0] === 0x4D && data[1] === 0x4D)) {
+                    extension = 'tif';
+                }
+
+                const path = this._chooseFile({
+                    title: `Save ${image.desc}`,
+                    action: Gtk.FileChooserAction.SAVE,
+                    folder: Gio.File.new_for_path(this.files[fileNumber]).get_parent().get_path(),
+                    name: `${GLib.path_get_basename(this.files[fileNumber]).replace(/\.[^.]*$/, '')}_` +
+                        `${image.tag.split(':')[1]}.${extension}`,
+                });
+
+                if (path) {
+                    GLib.file_set_contents(path, data);
+                }
+            })
+            .catch(err => this._showMessage(err.toString()));
+    }
+
+    /**
+     * @desc Uses the supplied mime type to return a string created in the
+     * name of a standard Gtk icon_name
+     * @param {string} mime a corectly formated mime type
+     * @returns {string} Gtk icon_name
+     */
+    _getFromMIMEType(mime) {
+        if(mime.split('/')[0] === 'image') {
+            return 'image-x-generic';
+        } else if (mime.split('/')[0] === 'audio') {
+            return 'audio-x-generic';
+        } else if (mime.split('/')[0] === 'audio') {
+            return 'video-x-generic';
+        } else if (mime.split('/')[0] === 'application') {
+            return `application-x-${mime.split('/')[1]}`;
+        } else {
+            return 'text-x-generic';
+        }
+    }
+
+    /**
+     * @desc Constructs a Gtk.PopWidget from a series of passed in properties,
+     * including the widget that is to be shown within the created popwidget.
+     * name of a standard Gtk icon_name
+     * @param {object} properties
+     * @property {string} properties.label      value for the widget label
+     * @property {object} properties.widget     a Gtk Widget to insert into this popwidget
+     * @returns {object} Gtk.Widget
+     */
+    _getPopWidget(properties) {
+        let grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'popwidget-button-grid',
+                attach: [{
+                    widget: this._widgetConstruct({
+                        type: 'Label',
+                        properties: {
+                            name: 'pop-widet-label',
+                            label: properties.label,
+                        },
+                    }),
+                    left: 0,
+                    top: 0,
+                    width: 1,
+                    height: 1,
+                },{
+                    widget: this._widgetConstruct({
+                        type: 'Image',
+                        properties: {
+                            name: 'pop-widget-image',
+                            icon_name: 'pan-down-symbolic',
+                            icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                        },
+                    }),
+                    left: 1,
+                    top: 0,
+                    width: 1,
+                    height: 1,
+                }]
+            }
+        });
+
+        let popWidgetButton = this._widgetConstruct({
+            type: 'ToggleButton',
+            properties: {
+                name: 'headerbar-popwidget-reveal',
+                add: grid,
+            },
+            connect: {
+                clicked(widget, evt, self) {
+                    if (self._widgetGetRef('headerbar-popwidget-reveal').get_active()) {
+                        self._widgetGetRef('headerbar-popwidget').show_all();
+                    }
+                }
+            }
+        });
+
+        return this._widgetConstruct({
+            type: 'Popover',
+            hide: true,
+            properties: {
+                name: 'headerbar-popwidget',
+                border_width: 2,
+                set_size_request: [-1, -1],
+                relative_to: popWidgetButton,
+                add: properties.widget,
+            },
+            connect: {
+                closed(widget, evt, self) {
+                    if (self._widgetGetRef('headerbar-popwidget-reveal').get_active()) {
+                        self._widgetGetRef('headerbar-popwidget-reveal').set_active(false);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * @desc Method to construct the main application display window. THis Method
+     * sets the sizing of the window and the basic layout of the main widgets. The
+     * UI is then updated with the final data fron the _updateUI method.
+     * @external Gtk.Window
+     * @constant this.TITLE
+     * @constant Gtk.WindowPosition.CENTER
+     * @constant Gtk.StackTransitionType.SLIDE_UP
+     * @constant Gtk.IconSize.DIALOG
+     * @constant Pango.EllipsizeMode.END
+     * @constant Gdk.WindowHints.MAX_SIZE
+     * @constant Gdk.WindowHints.MIN_SIZE
+     */
+    _buildUI() {
+        this.window = new Gtk.Window({
+  		    application: this.application,
+            title: this.TITLE,
+            window_position: Gtk.WindowPosition.CENTER,
+  	     });
+
+        const defaultIcon = this._getFromMIMEType('text-x-generic');
+        const metadataStack = this._widgetConstruct({
+            type: 'Stack',
+            properties: {
+                name: 'metadata-stack',
+                vexpand: true,
+                hexpand: true,
+                margin_top: 5,
+                transition_type: Gtk.StackTransitionType.SLIDE_UP,
+                transition_duration: this.settings.transitionDuration,
+            },
+        });
+
+        let box = this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name: 'icon-box',
+                valign: true,
+            }
+        });
+
+        let separator = this._widgetConstruct({
+            type: 'Separator',
+            properties: {
+                margin_bottom: 10,
+                margin_top: 2,
+                name: 'file-separator',
+            },
+        });
+
+        box.pack_start(this._widgetConstruct({
+            type: 'Image',
+            properties: {
+                name: 'file-icon',
+                margin_bottom: 10,
+                margin_top: 5,
+                halign: true,
+                icon_name: defaultIcon,
+                icon_size: Gtk.IconSize.DIALOG,
+            },
+        }), true, true, 10);
+
+        box.pack_end(this._widgetConstruct({
+            type: 'Label',
+            properties: {
+                name: 'file-label',
+                label: '', // will be set dynamically during updateUI
+                valign: true,
+                halign: true,
+                margin_top: 10,
+                ellipsize: Pango.EllipsizeMode.END,
+                max_width_chars: 32,
+                tooltip_markup: this.files[0],
+                set_style: ' label { font-size: 1.1em; }',
+            },
+        }), true, true, 10);
+
+        const progress = this._widgetConstruct({
+            type: 'Grid',
+            hide: true, // shown by _setProgress while files are being read
+            properties: {
+                name: 'progress-grid',
+                column_spacing: 6,
+                margin_top: 6,
+                attach: [
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'ProgressBar',
+                            properties: {
+                                name: 'progress-bar',
+                                hexpand: true,
+                                valign: Gtk.Align.CENTER,
+                                show_text: true,
+                            },
+                        }),
+                        left: 0, top: 0, width: 1, height: 1,
+                    },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Button',
+                            properties: {
+                                name: 'progress-cancel',
+                                set_image: {
+                                    icon_name: 'process-stop-symbolic',
+                                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                                },
+                                tooltip_markup: 'Stop reading the remaining files',
+                            },
+                            connect: {
+                                clicked(widget, evt, self) {
+                                    if (self.cancellable) {
+                                        self.cancellable.cancel();
+                                    }
+                                },
+                            },
+                        }),
+                        left: 1, top: 0, width: 1, height: 1,
+                    },
+                ],
+            },
+        });
+
+        const quickEdit = this._getQuickEdit();
+
+        const uppergrid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'upper-box',
+                vexpand: true,
+                hexpand: true,
+                attach: [
+                    { widget: box,           left: 0, top: 0, width: 1, height: 1 },
+                    { widget: separator,     left: 0, top: 1, width: 1, height: 1 },
+                    { widget: quickEdit,     left: 0, top: 2, width: 1, height: 1 },
+                    { widget: metadataStack, left: 0, top: 3, width: 1, height: 1 },
+                    { widget: progress,      left: 0, top: 4, width: 1, height: 1 }
+                ]
+            },
+        });
+
+        const mainbox = this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name: 'main-box',
+                spacing: 12,
+            },
+        });
+        mainbox.pack_start(this._getSidebar(), false, false, 0);
+        mainbox.pack_start(uppergrid, true, true, 0);
+
+        this._setWindowSize();
+        this.window.set_border_width(12);
+        this.window.add(mainbox);
+        this.window.set_titlebar(this._getTitleBar());
+        this.window.set_icon_name('application-x-executable');
+    }
+
+    /**
+     * @desc Constructs a Gtk.Headerbar from a series widgets.
+     * @returns {object} Gtk.HeaderBar widget to insert into the UI
+     */
+    _getTitleBar() {
+        const next = this._widgetConstruct({
+            type: 'Button',
+            hide: this.files.length === 1 ? true : false, // display button only if multiple files selected
+            properties: {
+                name: 'headerbar-next',
+                set_image: {
+                    icon_name: 'go-next-rtl-symbolic',
+                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                },
+                tooltip_markup: 'Go the previous file metadata page',
+            },
+            connect: {
+                clicked(widget, evt, self) {
+                    self._decreaseFileNumber();
+                }
+            }
+        });
+
+        const previous = this._widgetConstruct({
+            type: 'Button',
+            hide: this.files.length ===1 ? true : false, // display button only if multiple files selected
+            properties: {
+                name: 'headerbar-prev',
+                set_image: {
+                    icon_name: 'go-previous-rtl-symbolic',
+                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                },
+                tooltip_markup: 'Go the next file metadata page',
+            },
+            connect: {
+                clicked(widget, evt, self) {
+                    self._increaseFileNumber();
+                }
+            }
+        });
+
+        this._getPopWidget({
+            label: 'Group',
+            widget: this._widgetConstruct({
+                type: 'Grid',
+                properties: {
+                    name: 'popwidget-grid',
+                    row_spacing: 1,
+                    halign: Gtk.Align.CENTER,
+                    set_border_width: 15,
+                },
+            })
+        });
+
+        const sidebar = this._widgetConstruct({
+            type: 'ToggleButton',
+            hide: this.files.length === 1, // display button only if multiple files selected
+            properties: {
+                name: 'headerbar-sidebar',
+                active: this.files.length > 1,
+                set_image: {
+                    icon_name: 'view-list-symbolic',
+                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                },
+                tooltip_markup: 'Show the list of files (F9)',
+            },
+            connect: {
+                toggled(widget, evt, self) {
+                    self._widgetGetRef('sidebar-revealer').set_reveal_child(widget.get_active());
+                    self._setWindowSize();
+                }
+            }
+        });
+
+        const reveal = this._widgetGetRef('headerbar-popwidget-reveal');
+        const pack_start = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'headerbar-pack-start',
+                attach: [
+                    { widget: reveal,   left: 0, top: 0, width: 1, height: 1 },
+                    { widget: next,     left: 1, top: 0, width: 1, height: 1 },
+                    { widget: previous, left: 2, top: 0, width: 1, height: 1 },
+                    { widget: sidebar,  left: 3, top: 0, width: 1, height: 1 }
+                ]
+            }
+        });
+
+        const search = this._widgetConstruct({
+            type: 'ToggleButton',
+            properties: {
+                name: 'headerbar-search',
+                set_image: {
+                    icon_name: 'edit-find-symbolic',
+                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                },
+                tooltip_markup: 'Search the metadata of this file',
+            },
+            connect: {
+                toggled(widget, evt, self) {
+                    self._toggleSearch(widget.get_active());
+                }
+            }
+        });
+
+        this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name: 'headerbar-search-box',
+                spacing: 2,
+                pack_start: this._widgetConstruct({
+                    type: 'SearchEntry',
+                    properties: {
+                        name: 'headerbar-search-entry',
+                        placeholder_text: 'Search tags and values',
+                        width_chars: 14,
+                    },
+                    connect: {
+                        search_changed(widget, evt, self) {
+                            self._updateSearch();
+                        },
+                        stop_search(widget, evt, self) {
+                            self._widgetGetRef('headerbar-search').set_active(false);
+                        }
+                    }
+                }),
+                pack_end: this._widgetConstruct({
+                    type: 'ToggleButton',
+                    properties: {
+                        name: 'headerbar-search-regex',
+                        label: '.*',
+                        tooltip_markup: 'Search with a regular expression',
+                    },
+                    connect: {
+                        toggled(widget, evt, self) {
+                            self._updateSearch();
+                        }
+                    }
+                }),
+            },
+        });
+
+        const save = this._widgetConstruct({
+            type: 'Button',
+            properties: {
+                name: 'headerbar-save',
+                action_name: 'app.save',
+                set_image: {
+                    icon_name: 'document-save-symbolic',
+                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                },
+                tooltip_markup: 'Save the changes to this file',
+            },
+        });
+
+        const menu = this._widgetConstruct({
+            type: 'MenuButton',
+            properties: {
+                name: 'headerbar-packend-button',
+                set_image: {
+                    icon_name: 'open-menu-symbolic',
+                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
+                },
+                set_popover: this._widgetConstruct({
+                    type: 'Popover',
+                    properties: {
+                        name: 'headerbar-packend-popwidget',
+                        set_size_request: [-1, -1],
+                    }
+                }),
+                set_menu_model: this._getMenu(),
+            },
+        });
+
+        const pack_end = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'headerbar-pack-end',
+                column_spacing: 6,
+                attach: [
+                    { widget: search, left: 0, top: 0, width: 1, height: 1 },
+                    { widget: save,   left: 1, top: 0, width: 1, height: 1 },
+                    { widget: menu,   left: 2, top: 0, width: 1, height: 1 }
+                ]
+            }
+        });
+
+        return this._widgetConstruct({
+            type: 'HeaderBar',
+            properties: {
+                name: 'headerbar',
+                set_title: 'Nautilus-Metadata',
+                set_subtitle: `${this.files.length} files selected` ,
+                show_close_button: true,
+                pack_end,
+                pack_start,
+            },
+        });
+    }
+
+    /**
+     * @desc Construct the quick edit panel shown above the metadata of a
+     * file: star buttons for the rating, buttons for the colour label, the
+     * title and the caption. Each change is written to the file straight
+     * away, the title when Enter is pressed and the caption when it loses
+     * the focus.
+     * @constant Gtk.PolicyType.AUTOMATIC
+     * @constant Gtk.WrapMode.WORD_CHAR
+     * @returns {object} Gtk.Grid
+     */
+    _getQuickEdit() {
+        const stars = this._widgetConstruct({
+            type: 'Box',
+            properties: { name: 'quick-rating', hexpand: true },
+        });
+        const labels = this._widgetConstruct({
+            type: 'Box',
+            properties: { name: 'quick-label', spacing: 4 },
+        });
+
+        [1, 2, 3, 4, 5].forEach((rating) => {
+            stars.pack_start(this._widgetConstruct({
+                type: 'Button',
+                properties: {
+                    name: `quick-rating-${rating}`,
+                    relief: Gtk.ReliefStyle.NONE,
+                    set_image: {
+                        icon_name: 'non-starred-symbolic',
+                        icon_size: Gtk.IconSize.BUTTON,
+                    },
+                    tooltip_markup: `${rating} star${rating > 1 ? 's' : ''} (${rating})`,
+                },
+                connect: {
+                    clicked(widget, evt, self) {
+                        // clicking the current rating again removes it
+                        const current = parseInt(self._getTagValue(self.fileNumber, 'XMP:Rating'), 10);
+                        self._setRating(current === rating ? 0 : rating);
+                    },
+                },
+            }), false, false, 0);
+        });
+
+        Object.keys(this.LABELS).forEach((label) => {
+            labels.pack_start(this._widgetConstruct({
+                type: 'ToggleButton',
+                properties: {
+                    name: `quick-label-${label}`,
+                    tooltip_markup: label,
+                    valign: Gtk.Align.CENTER,
+                    set_style: ` button { background: ${this.LABELS[label]}; min-width: 14px; min-height: 14px; padding: 0; }` +
+                        ' button:checked { box-shadow: inset 0 0 0 2px @theme_fg_color; }',
+                },
+                connect: {
+                    toggled(widget, evt, self) {
+                        if (!self.quickEditUpdating) {
+                            self._writeQuickEdit({ 'XMP-xmp:Label': widget.get_active() ? label : '' });
+                        }
+                    },
+                },
+            }), false, false, 0);
+        });
+
+        const caption = this._widgetConstruct({
+            type: 'TextView',
+            properties: {
+                name: 'quick-caption',
+                wrap_mode: Gtk.WrapMode.WORD_CHAR,
+                accepts_tab: false,
+                tooltip_markup: 'Caption, written when you leave the box',
+            },
+            connect: {
+                focus_out_event(widget, evt, self) {
+                    const buffer = widget.get_buffer();
+                    const text = buffer.get_text(buffer.get_start_iter(), buffer.get_end_iter(), false);
+                    self._writeQuickEdit({ 'XMP-dc:Description': text, 'IPTC:Caption-Abstract': text }, self.quickEditFile);
+                    return false;
+                },
+            },
+        });
+        caption.get_buffer().connect('changed', () => {
+            if (!this.quickEditUpdating) {
+                // the caption is written to the file it was typed for, even after paging to the next file
+                this.quickEditFile = this.fileNumber;
+            }
+        });
+
+        return this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'quick-edit',
+                row_spacing: 4,
+                column_spacing: 6,
+                margin_bottom: 6,
+                sensitive: false, // until the metadata has been read
+                attach: [
+                    { widget: stars, left: 0, top: 0, width: 1, height: 1 },
+                    { widget: labels, left: 1, top: 0, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'Entry',
+                            properties: {
+                                name: 'quick-title',
+                                placeholder_text: 'Title',
+                                hexpand: true,
+                            },
+                            connect: {
+                                activate(widget, evt, self) {
+                                    self._writeQuickEdit({ 'XMP-dc:Title': widget.get_text() });
+                                },
+                            },
+                        }),
+                        left: 0, top: 1, width: 2, height: 1,
+                    },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'ScrolledWindow',
+                            properties: {
+                                name: 'quick-caption-scroll',
+                                set_shadow_type: Gtk.ShadowType.IN,
+                                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                                vscrollbar_policy: Gtk.PolicyType.AUTOMATIC,
+                                set_size_request: [-1, 60],
+                                add: caption,
+                            },
+                        }),
+                        left: 0, top: 2, width: 2, height: 1,
+                    },
+                ],
+            },
+        });
+    }
+
+    /**
+     * @desc Method to show the rating, label, title and caption of the current
+     * file in the quick edit panel. The panel is disabled for a file that
+     * could not be read.
+     */
+    _updateQuickEdit() {
+        const fileNumber = this.fileNumber;
+        const problem = this.fileErrors[fileNumber];
+        const rating = parseInt(this._getTagValue(fileNumber, 'XMP:Rating'), 10) || 0;
+        const label = this._getTagValue(fileNumber, 'XMP:Label');
+
+        this.quickEditUpdating = true;
+        this._widgetGetRef('quick-edit').set_sensitive(!problem || problem.type === 'warning');
+        [1, 2, 3, 4, 5].forEach((star) => {
+            this._widgetGetRef(`quick-rating-${star}`).set_image(new Gtk.Image({
+                icon_name: star <= rating ? 'starred-symbolic' : 'non-starred-symbolic',
+                icon_size: Gtk.IconSize.BUTTON,
+            }));
+        });
+        Object.keys(this.LABELS).forEach((name) => {
+            this._widgetGetRef(`quick-label-${name}`).set_active(name === label);
+        });
+        this._widgetGetRef('quick-title').set_text(this._getTagValue(fileNumber, 'XMP:Title') || '');
+        this._widgetGetRef('quick-caption').get_buffer().set_text(
+            this._getFirstTagValue(fileNumber, ['XMP:Description', 'IPTC:Caption-Abstract']) || '', -1
+        );
+        this.quickEditFile = undefined;
+        this.quickEditUpdating = false;
+    }
+
+    /**
+     * @desc Method to set the rating of the current file, 0 removes it.
+     * @param {number} rating the number of stars from 0 to 5
+     */
+    _setRating(rating) {
+        this._writeQuickEdit({ 'XMP-xmp:Rating': rating ? `${rating}` : '' });
+    }
+
+    /**
+     * @desc Method to write values from the quick edit panel to a file with
+     * _writeChanges. The writes to a file are made one after the other, kept
+     * in the quickEditWrites class variable, so that a quick change such as
+     * clicking through the stars is compared with and written after the
+     * change before it. Values that are the same as in the file are left out,
+     * as are IPTC values for a file without IPTC metadata, and unsaved edits
+     * of the same tags are discarded as they would be overwritten.
+     * @param {object} values the values by Group:Tag name, an empty string deletes the tag
+     * @param {number} fileNumber the file to write to, the current file by default
+     */
+    _writeQuickEdit(values, fileNumber = this.fileNumber) {
+        const problem = this.fileErrors[fileNumber];
+        const edits = this._getEdits(fileNumber);
+        const names = Object.keys(values).map(tag => tag.split(':')[1]);
+        // the family 0 group, eg. XMP for XMP-dc
+        const group0 = tag => tag.split(':')[0].split('-')[0];
+        const getChanges = () => {
+            const output = this._getMetadata(fileNumber) || {};
+            return Object.keys(values)
+                .filter(tag => group0(tag) !== 'IPTC' || output.IPTC !== undefined)
+                .map(tag => ({
+                    tag,
+                    from: this._getTagValue(fileNumber, `${group0(tag)}:${tag.split(':')[1]}`) || '',
+                    to: values[tag],
+                }))
+                .filter(change => change.to !== change.from);
+        };
+
+        this.quickEditWrites = this.quickEditWrites || {};
+        if (this.quickEditUpdating || this.metadata === undefined || (problem && problem.type !== 'warning') ||
+            (!this.quickEditWrites[fileNumber] && !getChanges().length)) {
+            return;
+        }
+        Object.keys(edits)
+            .filter(tag => names.indexOf(tag.split(':')[1].replace(/#$/, '')) !== -1)
+            .forEach(tag => delete edits[tag]);
+
+        const write = (this.quickEditWrites[fileNumber] || Promise.resolve())
+            .then(() => {
+                const changes = getChanges();
+                return changes.length ? this._writeChanges([fileNumber], () => changes) : undefined;
+            })
+            .then(() => {
+                if (this.quickEditWrites[fileNumber] === write) {
+                    delete this.quickEditWrites[fileNumber];
+                }
+            });
+        this.quickEditWrites[fileNumber] = write;
+    }
+
+    /**
+     * @desc Method to return the value of the first of a list of tags that a
+     * file has, skipping the zero dates some cameras write.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @param {array} tags the Group:Tag names in order of preference
+     * @returns {(string | undefined)} the value or undefined if the file has none of the tags
+     */
+    _getFirstTagValue(fileNumber, tags) {
+        return tags
+            .map(tag => this._getTagValue(fileNumber, tag))
+            .find(value => value && !value.startsWith('0000'));
+    }
+
+    /**
+     * @desc Method to return the date a file was captured, in the exiftool
+     * YYYY:MM:DD HH:MM:SS format so that dates can be sorted as strings.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @returns {(string | undefined)} the date or undefined if the file has none
+     */
+    _getCaptureDate(fileNumber) {
+        return this._getFirstTagValue(fileNumber, [
+            'EXIF:DateTimeOriginal', 'EXIF:CreateDate', 'XMP:DateTimeOriginal', 'QuickTime:CreateDate',
+        ]);
+    }
+
+    /**
+     * @desc Method to return the make and model of the camera a file was
+     * captured with.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @returns {string} the camera or an empty string if it is not known
+     */
+    _getCamera(fileNumber) {
+        const make = this._getTagValue(fileNumber, 'EXIF:Make') || '';
+        const model = this._getTagValue(fileNumber, 'EXIF:Model') || '';
+        // most models already start with the make (eg. Canon EOS R5)
+        return model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+    }
+
+    /**
+     * @desc Method to sum up the files read from a folder: the number of
+     * files, the first and last capture date, the cameras and lenses used
+     * (with how many files each) and how many of the files have a location.
+     * @param {object} folder the path of the folder and the paths of its files
+     * @returns {object} the summary of the folder
+     */
+    _getFolderSummary(folder) {
+        const fileNumbers = folder.files
+            .map(path => this.files.indexOf(path))
+            .filter(fileNumber => fileNumber !== -1);
+        const count = (values) => {
+            const counts = {};
+            values.filter(value => value).forEach((value) => {
+                counts[value] = (counts[value] || 0) + 1;
+            });
+            return Object.keys(counts)
+                .map(value => [value, counts[value]])
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        };
+        const dates = fileNumbers
+            .map(fileNumber => this._getCaptureDate(fileNumber))
+            .filter(date => date)
+            .sort();
+
+        return {
+            path: folder.path,
+            files: fileNumbers.length,
+            firstDate: dates[0],
+            lastDate: dates[dates.length - 1],
+            cameras: count(fileNumbers.map(fileNumber => this._getCamera(fileNumber))),
+            lenses: count(fileNumbers.map(fileNumber => this._getFirstTagValue(fileNumber, [
+                'Composite:LensID', 'EXIF:LensModel', 'XMP:Lens',
+            ]))),
+            gps: fileNumbers.filter(fileNumber => this.locations[fileNumber]).length,
+        };
+    }
+
+    /**
+     * @desc Method to return the page with the summary of each selected folder.
+     * @returns {object} the Gtk.ScrolledWindow of the page
+     */
+    _getFolderPage() {
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'metadata-folder-grid',
+                row_spacing: 4,
+                column_spacing: 10,
+            },
+        });
+        const list = items => items.map(item => `${item[0]} (${item[1]})`).join('\n') || 'Unknown';
+        let top = 0;
+
+        this.folders.map(folder => this._getFolderSummary(folder)).forEach((summary, i) => {
+            const rows = [
+                ['Files', `${summary.files}`],
+                ['Dates', summary.firstDate ?
+                    `${summary.firstDate} to ${summary.lastDate}` : 'Unknown'],
+                ['Cameras', list(summary.cameras)],
+                ['Lenses', list(summary.lenses)],
+                ['With GPS', summary.files ?
+                    `${summary.gps} (${Math.round(summary.gps / summary.files * 100)}%)` : '0'],
+            ];
+
+            grid.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `metadata-folder-title-${i}`,
+                    label: summary.path,
+                    xalign: 0,
+                    ellipsize: Pango.EllipsizeMode.START,
+                    tooltip_text: summary.path,
+                    set_style: ' label { font-weight: bold; }',
+                },
+            }), 0, top++, 2, 1);
+
+            rows.forEach((row, j) => {
+                grid.attach(this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: `metadata-folder-label-${i}-${j}`,
+                        label: row[0],
+                        xalign: 1,
+                        valign: Gtk.Align.START,
+                    },
+                }), 0, top, 1, 1);
+                grid.attach(this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: `metadata-folder-value-${i}-${j}`,
+                        label: row[1],
+                        xalign: 0,
+                        hexpand: true,
+                        wrap: true,
+                        selectable: true,
+                    },
+                }), 1, top++, 1, 1);
+            });
+        });
+
+        return this._widgetConstruct({
+            type: 'ScrolledWindow',
+            properties: {
+                name: 'metadata-folder',
+                set_shadow_type: Gtk.ShadowType.NONE,
+                add: grid,
+            },
+        });
+    }
+
+    /**
+     * @desc Method to return the page describing why a file could not be
+     * read, with any warnings exiftool gave for it.
+     * @param {object} problem the type, message and warnings from fileErrors
+     * @constant Gtk.IconSize.DIALOG
+     * @returns {object} the Gtk.ScrolledWindow of the page
+     */
+    _getProblemsPage(problem) {
+        const titles = {
+            folder: 'This is a folder',
+            missing: 'File not found',
+            permission: 'Permission denied',
+            unsupported: 'Unsupported file type',
+            unreadable: 'Unable to read the file',
+            warning: 'Read with warnings',
+        };
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'metadata-problems-grid',
+                row_spacing: 10,
+                column_spacing: 10,
+            },
+        });
+
+        grid.attach(this._widgetConstruct({
+            type: 'Image',
+            properties: {
+                name: 'metadata-problems-icon',
+                icon_name: problem.type === 'warning' ? 'dialog-warning' : 'dialog-error',
+                icon_size: Gtk.IconSize.DIALOG,
+                valign: Gtk.Align.START,
+            },
+        }), 0, 0, 1, 1);
+        grid.attach(this._widgetConstruct({
+            type: 'Label',
+            properties: {
+                name: 'metadata-problems-title',
+                label: titles[problem.type],
+                xalign: 0,
+                hexpand: true,
+                set_style: ' label { font-weight: bold; }',
+            },
+        }), 1, 0, 1, 1);
+
+        [problem.message].concat(problem.warnings.map(warning => `Warning: ${warning}`))
+            .filter(message => message)
+            .forEach((message, i) => {
+                grid.attach(this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: `metadata-problems-message-${i}`,
+                        label: message,
+                        xalign: 0,
+                        wrap: true,
+                        selectable: true,
+                    },
+                }), 1, i + 1, 1, 1);
+            });
+
+        return this._widgetConstruct({
+            type: 'ScrolledWindow',
+            properties: {
+                name: 'metadata-problems',
+                set_shadow_type: Gtk.ShadowType.NONE,
+                add: grid,
+            },
+        });
+    }
+
+    /**
+     * @desc Method to set the size of the window from the settings, which is
+     * wider while the file list or the tag name column is shown. A window
+     * that cannot be resized is held to that size.
+     * @external Gdk.Geometry
+     * @constant Gdk.WindowHints.MAX_SIZE
+     * @constant Gdk.WindowHints.MIN_SIZE
+     */
+    _setWindowSize() {
+        const sidebar = this._widgetGetRef('sidebar-revealer');
+        const width = this.settings.windowWidth + (sidebar && sidebar.get_reveal_child() ? this.SIDEBAR_WIDTH : 0) +
+            (this.showTagNames ? this.TAG_COLUMN_WIDTH : 0);
+        const height = this.settings.windowHeight;
+
+        this.window.set_resizable(this.settings.windowResizable);
+        if (this.settings.windowResizable) {
+            this.window.set_geometry_hints(null, new Gdk.Geometry({
+                min_height: 300,
+                min_width: 300,
+            }), Gdk.WindowHints.MIN_SIZE);
+            this.window.resize(width, this.window.get_realized() ? this.window.get_size()[1] : height);
+        } else {
+            this.window.set_geometry_hints(null, new Gdk.Geometry({
+                max_height: height,
+                min_height: height,
+                min_width: width,
+                max_width: width
+            }), Gdk.WindowHints.MAX_SIZE | Gdk.WindowHints.MIN_SIZE);
+        }
+    }
+
+    /**
+     * @desc Method to return the collapsible list of the selected files, with
+     * the choice of how the list is sorted above it. The rows are added by
+     * _updateSidebar once the metadata has been read.
+     * @constant Gtk.RevealerTransitionType.SLIDE_RIGHT
+     * @constant Gtk.SelectionMode.BROWSE
+     * @returns {object} the Gtk.Revealer holding the list
+     */
+    _getSidebar() {
+        const list = this._widgetConstruct({
+            type: 'ListBox',
+            properties: {
+                name: 'sidebar-list',
+                selection_mode: Gtk.SelectionMode.BROWSE,
+            },
+            connect: {
+                row_selected(widget, row, self) {
+                    if (row && row.fileNumber !== self.fileNumber) {
+                        self._setFileNumber(row.fileNumber);
+                    }
+                },
+                key_press_event(widget, event, self) {
+                    return self._sidebarTypeAhead(event);
+                },
+            },
+        });
+        list.set_sort_func((a, b) => this._compareSidebarRows(a.fileNumber, b.fileNumber));
+
+        const sort = this._widgetConstruct({
+            type: 'ComboBoxText',
+            properties: {
+                name: 'sidebar-sort',
+                tooltip_markup: 'Sort the files',
+            },
+        });
+        [['name', 'Sort by Name'], ['date', 'Sort by Date'], ['camera', 'Sort by Camera']]
+            .forEach(([id, text]) => sort.append(id, text));
+        sort.set_active_id(this.sidebarSort);
+        this._widgetSetConnect(sort, {
+            changed(widget, evt, self) {
+                self.sidebarSort = widget.get_active_id();
+                list.invalidate_sort();
+            },
+        });
+
+        return this._widgetConstruct({
+            type: 'Revealer',
+            properties: {
+                name: 'sidebar-revealer',
+                transition_type: Gtk.RevealerTransitionType.SLIDE_RIGHT,
+                reveal_child: this.files.length > 1,
+                add: this._widgetConstruct({
+                    type: 'Grid',
+                    properties: {
+                        name: 'sidebar-grid',
+                        row_spacing: 6,
+                        set_size_request: [this.SIDEBAR_WIDTH - 12, -1],
+                        attach: [
+                            { widget: sort, left: 0, top: 0, width: 1, height: 1 },
+                            {
+                                widget: this._widgetConstruct({
+                                    type: 'ScrolledWindow',
+                                    properties: {
+                                        name: 'sidebar-scroll',
+                                        vexpand: true,
+                                        hexpand: true,
+                                        hscrollbar_policy: Gtk.PolicyType.NEVER,
+                                        add: list,
+                                    },
+                                }),
+                                left: 0, top: 1, width: 1, height: 1,
+                            },
+                        ],
+                    },
+                }),
+            },
+        });
+    }
+
+    /**
+     * @desc Method to fill the file list with a row for each file, or if the
+     * rows are already there to update their badges, sort them again and
+     * select the current file.
+     */
+    _updateSidebar() {
+        const list = this._widgetGetRef('sidebar-list');
+        let rows = list ? list.get_children() : [];
+
+        if (!list || this.metadata === undefined) {
+            return;
+        }
+        if (rows.length !== this.files.length) {
+            rows.forEach(row => row.destroy());
+            this.files.forEach((path, fileNumber) => list.add(this._getSidebarRow(fileNumber)));
+            rows = list.get_children();
+        }
+
+        rows.forEach((row) => {
+            // the names change when files are renamed
+            const label = this._widgetGetRef(`sidebar-label-${row.fileNumber}`);
+            label.set_text(GLib.path_get_basename(this.files[row.fileNumber]));
+            label.set_tooltip_text(this.files[row.fileNumber]);
+            this._setSidebarBadges(row.fileNumber);
+        });
+        list.invalidate_sort();
+        const current = rows.find(row => row.fileNumber === this.fileNumber);
+        if (current && list.get_selected_row() !== current) {
+            list.select_row(current);
+        }
+    }
+
+    /**
+     * @desc Method to return the row of the file list for a file, with its
+     * thumbnail (the MIME type icon until it has loaded), name and badges.
+     * @param {number} fileNumber a number indicating which file the row is for
+     * @constant Pango.EllipsizeMode.MIDDLE
+     * @returns {object} the Gtk.ListBoxRow
+     */
+    _getSidebarRow(fileNumber) {
+        const size = this.SIDEBAR_IMAGE_SIZE;
+        const image = this._widgetConstruct({
+            type: 'Image',
+            properties: {
+                name: `sidebar-image-${fileNumber}`,
+                icon_name: this._getFromMIMEType(this._getTagValue(fileNumber, 'File:MIMEType') || ''),
+                pixel_size: size,
+                set_size_request: [size, size],
+            },
+        });
+        const box = this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name: `sidebar-box-${fileNumber}`,
+                spacing: 6,
+                margin: 3,
+            },
+        });
+
+        box.pack_start(image, false, false, 0);
+        box.pack_start(this._widgetConstruct({
+            type: 'Label',
+            properties: {
+                name: `sidebar-label-${fileNumber}`,
+                label: GLib.path_get_basename(this.files[fileNumber]),
+                xalign: 0,
+                ellipsize: Pango.EllipsizeMode.MIDDLE,
+                tooltip_text: this.files[fileNumber],
+            },
+        }), true, true, 0);
+        box.pack_end(this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name: `sidebar-badges-${fileNumber}`,
+                spacing: 2,
+            },
+        }), false, false, 0);
+
+        this._getThumbnail(fileNumber, size)
+            .then(pixbuf => pixbuf && image.set_from_pixbuf(pixbuf))
+            .catch(() => {
+                // the error is shown in the header when the file is, so keep the MIME type icon
+            });
+
+        const row = this._widgetConstruct({
+            type: 'ListBoxRow',
+            properties: {
+                name: `sidebar-row-${fileNumber}`,
+                add: box,
+            },
+        });
+        row.fileNumber = fileNumber;
+        return row;
+    }
+
+    /**
+     * @desc Method to show the badges of a file in the file list: whether it
+     * has a location, could not be read (or was read with warnings) and has
+     * unsaved changes.
+     * @param {number} fileNumber a number indicating which file to update
+     * @constant Gtk.IconSize.MENU
+     */
+    _setSidebarBadges(fileNumber) {
+        const badges = this._widgetGetRef(`sidebar-badges-${fileNumber}`);
+        const problem = this.fileErrors[fileNumber];
+        const icons = [];
+
+        if (!badges) {
+            return;
+        }
+        if (this.locations[fileNumber]) {
+            icons.push(['mark-location-symbolic', 'Has a location']);
+        }
+        if (problem) {
+            icons.push(problem.type === 'warning' ?
+                ['dialog-warning-symbolic', 'Read with warnings'] : ['dialog-error-symbolic', problem.message]);
+        }
+        if (Object.keys(this._getEdits(fileNumber)).length) {
+            icons.push(['document-edit-symbolic', 'Unsaved changes']);
+        }
+
+        badges.get_children().forEach(child => child.destroy());
+        icons.forEach(([icon, tooltip], i) => {
+            badges.pack_start(this._widgetConstruct({
+                type: 'Image',
+                properties: {
+                    name: `sidebar-badge-${fileNumber}-${i}`,
+                    icon_name: icon,
+                    icon_size: Gtk.IconSize.MENU,
+                    tooltip_text: tooltip,
+                },
+            }), false, false, 0);
+        });
+    }
+
+    /**
+     * @desc Method to compare two files for the order of the file list, by
+     * name, capture date or camera as chosen above the list. Files without a
+     * date or camera are put last and ties are broken by date and then name.
+     * @param {number} a the file number of the first row
+     * @param {number} b the file number of the second row
+     * @returns {number} less than 0 if a comes first, more than 0 if b comes first
+     */
+    _compareSidebarRows(a, b) {
+        const last = '\uffff';
+        const byName = () => GLib.path_get_basename(this.files[a])
+            .localeCompare(GLib.path_get_basename(this.files[b]), undefined, { numeric: true });
+        const byDate = () => (this._getCaptureDate(a) || last).localeCompare(this._getCaptureDate(b) || last);
+        const byCamera = () => (this._getCamera(a) || last).localeCompare(this._getCamera(b) || last);
+
+        switch (this.sidebarSort) {
+        case 'date':
+            return byDate() || byName();
+        case 'camera':
+            return byCamera() || byDate() || byName();
+        default:
+            return byName();
+        }
+    }
+
+    /**
+     * @desc Method to select the first file in the list whose name starts
+     * with the letters typed into the list, the letters are forgotten after
+     * a second without typing.
+     * @param {object} event the Gdk.EventKey of the key press
+     * @returns {boolean} true if the key was used
+     */
+    _sidebarTypeAhead(event) {
+        const [, keyValue] = event.get_keyval();
+        const [, state] = event.get_state();
+        const character = String.fromCharCode(Gdk.keyval_to_unicode(keyValue));
+        const now = GLib.get_monotonic_time();
+        const list = this._widgetGetRef('sidebar-list');
+
+        if (!Gdk.keyval_to_unicode(keyValue) || /[\s\x00-\x1f]/.test(character) ||
+            state & (Gdk.ModifierType.CONTROL_MASK | Gdk.ModifierType.MOD1_MASK)) {
+            return false;
+        }
+        if (!this.typeAhead || now - this.typeAhead.time > 1000000) {
+            this.typeAhead = { text: '', time: now };
+        }
+        this.typeAhead.text += character.toLowerCase();
+        this.typeAhead.time = now;
+
+        const row = list.get_children().find(child => (
+            GLib.path_get_basename(this.files[child.fileNumber]).toLowerCase().startsWith(this.typeAhead.text)
+        ));
+        if (row) {
+            list.select_row(row);
+            row.grab_focus();
+        }
+        return true;
+    }
+
+    /**
+     * @desc Method to arrange the tags of a file into the groups of the
+     * chosen family: family 0 (eg. EXIF, MakerNotes, XMP), family 1 (eg. IFD0,
+     * Canon, XMP-dc) or family 0 with its family 1 groups as children. There
+     * is a page for each top level group, the children are headings within it.
+     * Tags in a group of the hiddenGroups setting are left out.
+     * @param {object} output the metadata of the file grouped by family 0
+     * @returns {array} the groups as { name, page, rows, children } with rows of [group, item, index]
+     */
+    _getGroupTree(output) {
+        const nodes = [];
+        const getNode = (list, name) => {
+            let node = list.find(item => item.name === name);
+            if (!node) {
+                node = { name, rows: [], children: [] };
+                list.push(node);
+            }
+            return node;
+        };
+
+        Object.keys(output).forEach((group) => {
+            output[group].forEach((item, index) => {
+                const row = [group, item, index];
+                if (this.settings.hiddenGroups.indexOf(group) !== -1 ||
+                    this.settings.hiddenGroups.indexOf(item[5]) !== -1) {
+                    return;
+                }
+                switch (this.groupFamily) {
+                case '1':
+                    getNode(nodes, item[5] || group).rows.push(row);
+                    break;
+                case '0:1':
+                    getNode(nodes, group).rows.push(row);
+                    getNode(getNode(nodes, group).children, item[5] || group).rows.push(row);
+                    break;
+                default:
+                    getNode(nodes, group).rows.push(row);
+                    break;
+                }
+            });
+        });
+
+        nodes.forEach((node) => {
+            node.page = `metadata-${node.name}`;
+            node.children.forEach((child) => {
+                child.page = node.page;
+                child.header = `${node.page}-${child.name}-header`;
+            });
+        });
+        return nodes;
+    }
+
+    /**
+     * @desc Method to return the scrollable page of the tags in a group, with
+     * a heading before the tags of each child group.
+     * @param {object} node the group from _getGroupTree
+     * @constant Gtk.ShadowType.NONE
+     * @returns {object} the Gtk.ScrolledWindow of the page
+     */
+    _getGroupPage(node) {
+        const children = [];
+        let top = 0;
+
+        (node.children.length ? node.children : [node]).forEach((child) => {
+            if (child.header) {
+                children.push({
+                    widget: this._widgetConstruct({
+                        type: 'Label',
+                        properties: {
+                            name: child.header,
+                            label: `${child.name} (${child.rows.length})`,
+                            xalign: 0,
+                            margin_top: top ? 10 : 0,
+                            set_style: ' label { font-weight: bold; }',
+                        },
+                    }),
+                    left: 0,
+                    top: top++,
+                    width: this.showTagNames ? 3 : 2,
+                    height: 1,
+                });
+            }
+            child.rows.forEach(([group, item, index]) => {
+                children.push(...this._getMetadataRow(group, item, index, top++));
+            });
+        });
+
+        return this._widgetConstruct({
+            type: 'ScrolledWindow',
+            properties: {
+                name: node.page,
+                set_shadow_type: Gtk.ShadowType.NONE,
+                add: this._widgetConstruct({
+                    type: 'Grid',
+                    properties: {
+                        name: `${node.page}-grid`,
+                        row_spacing: 4,
+                        column_spacing: 10,
+                        attach: children,
+                    },
+                }),
+            },
+        });
+    }
+
+    /**
+     * @desc Method to return the part of the group popover that chooses the
+     * group family and lists the groups as a tree with the number of tags in
+     * each. Choosing a child group shows the page of its parent scrolled to
+     * the heading of the child.
+     * @param {array} groups the groups from _getGroupTree
+     * @external Gtk.TreeStore
+     * @returns {object} the Gtk.Grid holding the family choice and the tree
+     */
+    _getGroupTreeView(groups) {
+        const store = new Gtk.TreeStore();
+        store.set_column_types([GObject.TYPE_STRING, GObject.TYPE_STRING, GObject.TYPE_STRING, GObject.TYPE_STRING]);
+        groups.forEach((node) => {
+            const iter = store.append(null);
+            store.set(iter, [0, 1, 2, 3], [node.name, `${node.rows.length}`, node.page, '']);
+            node.children.forEach((child) => {
+                store.set(store.append(iter), [0, 1, 2, 3], [child.name, `${child.rows.length}`, child.page, child.header]);
+            });
+        });
+
+        const column = new Gtk.TreeViewColumn({ expand: true });
+        const name = new Gtk.CellRendererText({ ellipsize: Pango.EllipsizeMode.END });
+        const count = new Gtk.CellRendererText({ xalign: 1 });
+        column.pack_start(name, true);
+        column.add_attribute(name, 'text', 0);
+        column.pack_end(count, false);
+        column.add_attribute(count, 'text', 1);
+
+        const tree = this._widgetConstruct({
+            type: 'TreeView',
+            properties: {
+                name: 'group-tree',
+                model: store,
+                headers_visible: false,
+                activate_on_single_click: true,
+                tooltip_column: 0,
+            },
+            connect: {
+                row_activated(widget, path, self) {
+                    const [, iter] = store.get_iter(path);
+                    self._widgetGetRef('headerbar-popwidget').hide();
+                    self._showGroupPage(store.get_value(iter, 2), store.get_value(iter, 3));
+                },
+            },
         });
+        tree.append_column(column);
 
-        const pack_end = this._widgetConstruct({
-            type: 'MenuButton',
+        const family = this._widgetConstruct({
+            type: 'ComboBoxText',
             properties: {
-                name: 'headerbar-packend-button',
-                set_image: {
-                    icon_name: 'open-menu-symbolic',
-                    icon_size: Gtk.IconSize.SMALL_TOOLBAR,
-                },
-                set_popover: this._widgetConstruct({
-                    type: 'Popover',
-                    properties: {
-                        name: 'headerbar-packend-popwidget',
-                        set_size_request: [-1, -1],
-                    }
-                }),
-                set_menu_model: this._getMenu(),
+                name: 'group-family',
+                tooltip_markup: 'Group the tags by family 0 (eg. XMP), family 1 (eg. XMP-dc) or both',
+            },
+        });
+        [['0', 'Family 0'], ['1', 'Family 1'], ['0:1', 'Family 0:1']]
+            .forEach(([id, text]) => family.append(id, text));
+        family.set_active_id(this.groupFamily);
+        this._widgetSetConnect(family, {
+            changed(widget, evt, self) {
+                self.groupFamily = widget.get_active_id();
+                // the popover is rebuilt, so not from within its own signal
+                GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                    self._updateUI();
+                    return GLib.SOURCE_REMOVE;
+                });
             },
         });
 
         return this._widgetConstruct({
-            type: 'HeaderBar',
+            type: 'Grid',
             properties: {
-                name: 'headerbar',
-                set_title: 'Nautilus-Metadata',
-                set_subtitle: `${ARGV.length} files selected` ,
-                show_close_button: true,
-                pack_end,
-                pack_start,
+                name: 'group-tree-grid',
+                row_spacing: 6,
+                margin_bottom: 6,
+                attach: [
+                    { widget: family, left: 0, top: 0, width: 1, height: 1 },
+                    {
+                        widget: this._widgetConstruct({
+                            type: 'ScrolledWindow',
+                            properties: {
+                                name: 'group-tree-scroll',
+                                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                                propagate_natural_height: true,
+                                max_content_height: 400,
+                                set_size_request: [160, -1],
+                                add: tree,
+                            },
+                        }),
+                        left: 0, top: 1, width: 1, height: 1,
+                    },
+                ],
             },
         });
     }
 
+    /**
+     * @desc Method to show the page of a group, scrolled to the heading of a
+     * child group if there is one.
+     * @param {string} page the name of the page in the stack
+     * @param {string} header the name of the heading of the child group, or an empty string
+     */
+    _showGroupPage(page, header) {
+        const scroll = this._widgetGetRef(page);
+        const heading = header && this._widgetGetRef(header);
+
+        this._widgetGetRef('metadata-stack').set_visible_child_name(page);
+        // the heading only has a position once the page is shown
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            scroll.get_vadjustment().set_value(heading ? heading.get_allocation().y : 0);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
     /**
      * @desc Method to reconstruct the main application display window based on
      * the current file metadata that is obtained from the _getMetadata method
@@ -840,18 +6097,24 @@ class Application {
         const filelabel = this._widgetGetRef('file-label');
         const fileicon = this._widgetGetRef('file-icon');
         const output = this._getMetadata(this.fileNumber);
+        const visiblePage = metadataStack.get_visible_child_name();
 
-        let hasMap = false;
-        let mapUri;
+        const points = this._getMapPoints();
+        const images = this._getEmbeddedImages(this.fileNumber);
+        const problem = this.fileErrors[this.fileNumber];
 
         // update the UI header with the correct icon type and file name
-        output.File.forEach((item) => {
+        filelabel.set_text(GLib.path_get_basename(this.files[this.fileNumber]));
+        fileicon.set_from_icon_name(problem && problem.type !== 'warning' ?
+            'dialog-error' : this._getFromMIMEType(''), Gtk.IconSize.DIALOG);
+        (output.File || []).forEach((item) => {
             if (item[0] === 'MIME Type') {
                 fileicon.set_from_icon_name(this._getFromMIMEType(item[1]), Gtk.IconSize.DIALOG);
             } else if (item[0] === 'File Name') {
                 filelabel.set_text(item[1]);
             }
         });
+        this._loadHeaderImage(this.fileNumber);
 
         // if we are re-rendering the UI then first destroy all current widgets
         if (!init) {
@@ -863,218 +6126,707 @@ class Application {
             });
         }
 
-        Object.keys(output).forEach((key, i) => {
-            let children = [];
-            if (key === 'EXIF') {
-                const gpsData = {};
-                output[key].forEach((pair) => {
-                    if (pair[0] === 'GPS Latitude') {
-                        hasMap = true;
-                        gpsData.latitude = pair[1].replace('deg', '\u00b0').replace(/\s+/g, '');
-                    }
+        const groups = this._getGroupTree(output);
+        groups.forEach((node) => {
+            this._widgetSetProperties(metadataStack, {
+                add_named: [{
+                    [node.page]: this._getGroupPage(node),
+                }]
+            });
+        });
+        popwidgetGrid.attach(this._getGroupTreeView(groups), 0, 0, 1, 1);
+
+        if (points.length) {
+            let top = 1; // the group tree is above
+
+            this._widgetSetProperties(metadataStack, {
+                add_named: [{
+                    ['metadata-map-grid']: this._getMapPage(points),
+                }]
+            });
 
-                    if (pair[0] === 'GPS Latitude Ref') {
-                        gpsData.latitudeRef = pair[1].charAt(0);
+            popwidgetGrid.attach(
+                this._widgetConstruct({
+                    type: 'Button',
+                    properties: {
+                        label: 'Map ...',
+                        name: 'popopen-map',
+                        set_size_request: [160, -1],
+                        tooltip_markup: 'View the locations on a map',
+                    },
+                    connect: {
+                        clicked(widget, evt, self) {
+                            const widgetRefs = self._widgetGetRefs([
+                                'headerbar-popwidget', 'metadata-stack', 'metadata-map-grid'
+                            ]);
+                            widgetRefs[0].hide();
+                            widgetRefs[1].set_visible_child(widgetRefs[2]);
+                        }
                     }
+                }),
+                0, top, 1, 1);
+        }
+
+        if (images.length) {
+            let top = 1 + (points.length ? 1 : 0);
 
-                    if (pair[0] === 'GPS Longitude') {
-                        gpsData.longitude = pair[1].replace('deg', '\u00b0').replace(/\s+/g, '');
+            this._widgetSetProperties(metadataStack, {
+                add_named: [{
+                    ['metadata-images']: this._getImagesPage(images),
+                }]
+            });
+
+            popwidgetGrid.attach(
+                this._widgetConstruct({
+                    type: 'Button',
+                    properties: {
+                        label: 'Images ...',
+                        name: 'popopen-images',
+                        set_size_request: [160, -1],
+                        tooltip_markup: 'View the images embedded in the file',
+                    },
+                    connect: {
+                        clicked(widget, evt, self) {
+                            const widgetRefs = self._widgetGetRefs([
+                                'headerbar-popwidget', 'metadata-stack', 'metadata-images'
+                            ]);
+                            widgetRefs[0].hide();
+                            widgetRefs[1].set_visible_child(widgetRefs[2]);
+                        }
                     }
+                }),
+                0, top, 1, 1);
+        }
+
+        if (problem) {
+            let top = 1 + (points.length ? 1 : 0) + (images.length ? 1 : 0);
+
+            this._widgetSetProperties(metadataStack, {
+                add_named: [{
+                    ['metadata-problems']: this._getProblemsPage(problem),
+                }]
+            });
 
-                    if (pair[0] === 'GPS Longitude Ref') {
-                        gpsData.longitudeRef = pair[1].charAt(0);
+            popwidgetGrid.attach(
+                this._widgetConstruct({
+                    type: 'Button',
+                    properties: {
+                        label: 'Problems ...',
+                        name: 'popopen-problems',
+                        set_size_request: [160, -1],
+                        tooltip_markup: 'View the errors and warnings from reading the file',
+                    },
+                    connect: {
+                        clicked(widget, evt, self) {
+                            const widgetRefs = self._widgetGetRefs([
+                                'headerbar-popwidget', 'metadata-stack', 'metadata-problems'
+                            ]);
+                            widgetRefs[0].hide();
+                            widgetRefs[1].set_visible_child(widgetRefs[2]);
+                        }
                     }
-                });
-                mapUri = this._getMapUri(gpsData);
-            }
+                }),
+                0, top, 1, 1);
+        }
+
+        if (this.folders.length) {
+            let top = 1 + (points.length ? 1 : 0) + (images.length ? 1 : 0) +
+                (problem ? 1 : 0);
+
+            this._widgetSetProperties(metadataStack, {
+                add_named: [{
+                    ['metadata-folder']: this._getFolderPage(),
+                }]
+            });
 
-            output[key].forEach((item, i) => {
-                const isEditable = () => {
-                    if (key === 'File') {
-                        return false;
+            popwidgetGrid.attach(
+                this._widgetConstruct({
+                    type: 'Button',
+                    properties: {
+                        label: 'Folder ...',
+                        name: 'popopen-folder',
+                        set_size_request: [160, -1],
+                        tooltip_markup: 'View a summary of the selected folders',
+                    },
+                    connect: {
+                        clicked(widget, evt, self) {
+                            const widgetRefs = self._widgetGetRefs([
+                                'headerbar-popwidget', 'metadata-stack', 'metadata-folder'
+                            ]);
+                            widgetRefs[0].hide();
+                            widgetRefs[1].set_visible_child(widgetRefs[2]);
+                        }
                     }
-                    return true;
-                };
+                }),
+                0, top, 1, 1);
+        }
 
-                if (item) {
-                    children.push({
-                        widget: this._widgetConstruct({
-                            type: 'Label',
+        this._widgetSetProperties(metadataStack, {
+            add_named: [{
+                ['metadata-search']: this._widgetConstruct({
+                    type: 'ScrolledWindow',
+                    properties: {
+                        name: 'metadata-search',
+                        set_shadow_type: Gtk.ShadowType.NONE,
+                        add: this._widgetConstruct({
+                            type: 'Grid',
                             properties: {
-                                name: `metadata-${key}-${i}`,
-                                label: item[0],
-                                xalign: 1, // align right
-                                tooltip_markup: item[0],
-                                max_width_chars: 22,
-                                set_width_chars: 22,
-                                ellipsize: Pango.EllipsizeMode.END,
+                                name: 'metadata-search-grid',
+                                row_spacing: 4,
+                                column_spacing: 10,
                             },
                         }),
-                        left: 0,
-                        top: (key === 'File') ? i + 2 : i, // make allowance for file icon and separator
-                        width: 1,
-                        height: 1,
+                    },
+                }),
+            }]
+        });
+
+        // keep the same group visible when re-rendering (eg. after saving)
+        if (!init && visiblePage && metadataStack.get_child_by_name(visiblePage)) {
+            metadataStack.set_visible_child_name(visiblePage);
+        }
+        if (init && metadataStack.get_child_by_name(`metadata-${this.settings.defaultGroup}`)) {
+            metadataStack.set_visible_child_name(`metadata-${this.settings.defaultGroup}`);
+        }
+        // a selected folder opens on its summary
+        if (init && this.folders.length) {
+            metadataStack.set_visible_child_name('metadata-folder');
+        }
+        // a file that could not be read opens on what went wrong
+        if (problem && problem.type !== 'warning') {
+            metadataStack.set_visible_child_name('metadata-problems');
+        }
+        this._updateSearch();
+        this._updateSaveAction();
+        this._updateHistoryActions();
+        this._updateQuickEdit();
+        this._updateSidebar();
+    }
+
+    /**
+     * @desc Method to show or hide the search entry in the headerbar. When
+     * hidden the search is cleared and the UI re-rendered, so that any values
+     * edited in the search results are also shown in the group pages.
+     * @param {boolean} active whether the search should be shown
+     */
+    _toggleSearch(active) {
+        const headerbar = this._widgetGetRef('headerbar');
+        const entry = this._widgetGetRef('headerbar-search-entry');
+
+        if (active) {
+            headerbar.set_custom_title(this._widgetGetRef('headerbar-search-box'));
+            entry.grab_focus();
+        } else {
+            headerbar.set_custom_title(null);
+            entry.set_text('');
+            if (this.metadata) {
+                this._updateUI();
+            }
+        }
+    }
+
+    /**
+     * @desc Method to filter the tags of the current file by the text in the
+     * search entry. Tag names, descriptions and values are matched case
+     * insensitively, either as plain text or as a regular expression, and the
+     * matches are shown grouped by section in the search page of the stack.
+     * When the search is cleared the previously visible page is shown again.
+     */
+    _updateSearch() {
+        const metadataStack = this._widgetGetRef('metadata-stack');
+        const grid = this._widgetGetRef('metadata-search-grid');
+        const text = this._widgetGetRef('headerbar-search-entry').get_text();
+        const regex = this._widgetGetRef('headerbar-search-regex').get_active();
+        const visiblePage = metadataStack.get_visible_child_name();
+        let top = 0;
+        let matches;
+
+        if (!this.metadata || !grid) {
+            return;
+        }
+
+        grid.get_children().forEach(child => child.destroy());
+
+        if (!text) {
+            if (visiblePage === 'metadata-search' && this.searchReturnPage &&
+                metadataStack.get_child_by_name(this.searchReturnPage)) {
+                metadataStack.set_visible_child_name(this.searchReturnPage);
+            }
+            return;
+        }
+
+        if (visiblePage !== 'metadata-search') {
+            this.searchReturnPage = visiblePage;
+        }
+
+        const attachLabel = (label) => {
+            grid.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `metadata-search-label-${top}`,
+                    label,
+                    margin_top: top ? 10 : 0,
+                    xalign: 0,
+                    set_style: ' label { font-weight: bold; }',
+                },
+            }), 0, top++, 2, 1);
+        };
+
+        if (regex) {
+            try {
+                const pattern = new RegExp(text, 'i');
+                matches = value => pattern.test(value);
+            } catch (err) {
+                attachLabel('Invalid regular expression');
+            }
+        } else {
+            matches = value => value.toLowerCase().includes(text.toLowerCase());
+        }
+
+        if (matches) {
+            const output = this._getMetadata(this.fileNumber);
+            Object.keys(output).forEach((key) => {
+                const items = output[key].filter(item => (
+                    matches(item[0]) || matches(item[1].toString()) || matches(item[2])
+                ));
+                if (items.length) {
+                    attachLabel(key);
+                    items.forEach((item) => {
+                        const i = output[key].indexOf(item);
+                        this._widgetSetProperties(grid, {
+                            attach: this._getMetadataRow(key, item, i, top++),
+                        });
                     });
+                }
+            });
+
+            if (!top) {
+                attachLabel('No matching tags');
+            }
+        }
+        metadataStack.set_visible_child_name('metadata-search');
+    }
+
+    /**
+     * @desc Method to construct the label and entry widgets that display a
+     * single metadata tag of the current file, ready to attach to a grid.
+     * Editing the entry stores the edit so it can be saved later. With raw
+     * values shown the numeric value is edited and written as Group:Tag#,
+     * and with tag names shown a third column has the tag name and ID. Edits
+     * are kept by the family 1 group of the tag, which is the same whichever
+     * page the tag is edited on and writes only that group. The entry menu
+     * can copy the row as Group:Tag=value.
+     * @param {string} key the group the tag is shown in
+     * @param {array} item the tag as [desc, val, tag name, num, id, family 1 group]
+     * @param {number} i the index of the tag within the group, used for naming
+     * @param {number} top the grid row to attach the widgets to
+     * @constant Pango.EllipsizeMode.END
+     * @external Gtk.Clipboard
+     * @returns {array} an array of grid children for the label and entry
+     */
+    _getMetadataRow(key, item, i, top) {
+        const edits = this._getEdits(this.fileNumber);
+        const writeErrors = this.writeErrors[this.fileNumber] || {};
+        const list = this._isListTag(item);
+        const raw = this.rawValues && item[3] !== undefined && !list;
+        const tag = `${item[5]}:${item[2]}${raw ? '#' : ''}`;
+        const original = list ? this._getListValue(item[1]) : (raw ? item[3] : item[1]).toString(); // stored as number in array
+        const children = [];
+        const isEditable = () => {
+            if (key === 'File' || key === 'Composite') {
+                return false;
+            }
+            return true;
+        };
+
+        const entryProperties = {
+            name: `metadata-${key}-${i + 1}`,
+            text: edits[tag] !== undefined ? edits[tag] : original,
+            set_width_chars: 22,
+            editable: isEditable(),
+        };
+
+        if (writeErrors[tag]) {
+            entryProperties.secondary_icon_name = 'dialog-error-symbolic';
+            entryProperties.secondary_icon_tooltip_text = writeErrors[tag];
+        }
+
+        children.push({
+            widget: this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `metadata-${key}-${i}`,
+                    label: item[0],
+                    xalign: 1, // align right
+                    tooltip_markup: item[0],
+                    max_width_chars: 22,
+                    set_width_chars: 22,
+                    ellipsize: Pango.EllipsizeMode.END,
+                },
+            }),
+            left: 0,
+            top,
+            width: 1,
+            height: 1,
+        },{
+            widget: list ? this._getListEditor(`metadata-${key}-${i + 1}`, tag, original, writeErrors) : this._widgetConstruct({
+                type: 'Entry',
+                properties: entryProperties,
+                connect: {
+                    changed(widget, evt, self) {
+                        if (writeErrors[tag]) {
+                            delete writeErrors[tag];
+                            widget.secondary_icon_name = null;
+                        }
+                        self._setEdit(tag, widget.get_text(), original);
+                    },
+                    populate_popup(widget, menu) {
+                        const copy = new Gtk.MenuItem({ label: `Copy as ${tag}=value` });
+                        copy.connect('activate', () => {
+                            Gtk.Clipboard.get(Gdk.SELECTION_CLIPBOARD).set_text(`${tag}=${widget.get_text()}`, -1);
+                        });
+                        menu.append(new Gtk.SeparatorMenuItem());
+                        menu.append(copy);
+                        menu.show_all();
+                    }
+                }
+            }),
+            left: 1,
+            top,
+            width: 1,
+            height: 1,
+        });
+
+        if (this.showTagNames) {
+            const id = this._getTagId(item[4]);
+            children.push({
+                widget: this._widgetConstruct({
+                    type: 'Label',
+                    properties: {
+                        name: `metadata-${key}-${i}-tag`,
+                        label: id ? `${item[2]} (${id})` : item[2],
+                        xalign: 0,
+                        selectable: true,
+                        ellipsize: Pango.EllipsizeMode.END,
+                        tooltip_text: `${item[5]}:${item[2]}`,
+                        set_size_request: [this.TAG_COLUMN_WIDTH, -1],
+                        set_style: ' label { font-family: monospace; opacity: 0.7; }',
+                    },
+                }),
+                left: 2,
+                top,
+                width: 1,
+                height: 1,
+            });
+        }
+        return children;
+    }
+
+    /**
+     * @desc Method to tell whether a tag holds a list of values, which is
+     * edited item by item rather than as text. exiftool only gives an array
+     * when there is more than one item, so the keyword tags are always lists.
+     * @param {array} item the metadata item of the tag
+     * @returns {boolean} whether the tag is a list
+     */
+    _isListTag(item) {
+        return Array.isArray(item[1]) || this.LIST_TAGS.indexOf(item[2]) !== -1;
+    }
+
+    /**
+     * @desc Method to return the value of a list tag as an array of strings.
+     * @param {*} value the value from the exiftool JSON
+     * @returns {array} the items of the list
+     */
+    _getListValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+        return [].concat(value).map(String);
+    }
+
+    /**
+     * @desc Method to tell whether a tag is one of the keyword tags kept in
+     * sync by _syncKeywords. The group can be a family 0 or family 1 group
+     * (eg. XMP or XMP-dc), but XMP-pdf:Keywords is not a keyword tag.
+     * @param {string} tag the Group:Tag name
+     * @returns {boolean} whether the tag is a keyword tag
+     */
+    _isKeywordTag(tag) {
+        const [group, name] = tag.split(':');
+        return this.KEYWORD_TAGS.flat.concat(this.KEYWORD_TAGS.hierarchical).some((keywordTag) => {
+            const [keywordGroup, keywordName] = keywordTag.split(':');
+            return keywordName === name && (group === keywordGroup || group === keywordGroup.split('-')[0]);
+        });
+    }
+
+    /**
+     * @desc Method to return the items of a list tag of a file by its family 1
+     * group and name.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @param {string} tag the family 1 Group:Tag name, eg. XMP-dc:Subject
+     * @returns {array} the items, empty if the file does not have the tag
+     */
+    _getListTagValue(fileNumber, tag) {
+        const item = Tags.getItem(this._getMetadata(fileNumber), tag);
+        return this._getListValue(item ? item[1] : undefined);
+    }
+
+    /**
+     * @desc Method to work out every keyword tag to write when one of them is
+     * edited, so that the XMP and IPTC keywords stay the same. Each level of a
+     * hierarchical Parent|Child keyword is also a flat keyword. Editing the
+     * flat keywords keeps the hierarchical keywords that still end in one of
+     * them and a Parent|Child keyword typed there is added to both. Editing
+     * the hierarchical keywords removes the levels of the removed keywords
+     * from the flat keywords and adds the levels of the new ones. Keywords are
+     * only synced into the groups (eg. IPTC) the file already has, so that no
+     * IPTC block is added to a file without one.
+     * @param {number} fileNumber a number indicating which file metadata to use
+     * @param {string} tag the Group:Tag name that was edited
+     * @param {array} keywords the edited keywords
+     * @param {object} pending keyword values already worked out for this write, by Group:Tag
+     * @returns {object} the keywords to write by Group:Tag
+     */
+    _syncKeywords(fileNumber, tag, keywords, pending) {
+        const { flat: flatTags, hierarchical: hierarchicalTag } = this.KEYWORD_TAGS;
+        const current = tagName => pending[tagName] || this._getListTagValue(fileNumber, tagName);
+        const levels = paths => paths.reduce((all, path) => all.concat(path.split('|')), []);
+        const unique = items => items
+            .map(item => item.trim())
+            .filter((item, i, all) => item && all.indexOf(item) === i);
+        const hierarchical = current(hierarchicalTag);
+        const flat = unique(flatTags.reduce((all, flatTag) => all.concat(current(flatTag)), []));
+        let newFlat;
+        let newHierarchical;
+
+        if (tag.split(':')[1] === hierarchicalTag.split(':')[1]) {
+            newHierarchical = unique(keywords);
+            const removed = levels(hierarchical.filter(path => newHierarchical.indexOf(path) === -1));
+            const added = levels(newHierarchical);
+            newFlat = unique(flat.filter(keyword => removed.indexOf(keyword) === -1 || added.indexOf(keyword) !== -1)
+                .concat(added));
+        } else {
+            const paths = keywords.filter(keyword => keyword.includes('|'));
+            newFlat = unique(keywords.filter(keyword => !keyword.includes('|')).concat(levels(paths)));
+            newHierarchical = unique(hierarchical
+                .filter(path => newFlat.indexOf(path.split('|').pop().trim()) !== -1)
+                .concat(paths));
+        }
+
+        const output = this._getMetadata(fileNumber) || {};
+        const group0 = tagName => tagName.split(':')[0].split('-')[0];
+        const writable = tagName => group0(tagName) === group0(tag) || output[group0(tagName)] !== undefined;
+        const values = {};
+        flatTags.filter(writable).forEach((flatTag) => {
+            values[flatTag] = newFlat;
+        });
+        if (writable(hierarchicalTag) && JSON.stringify(newHierarchical) !== JSON.stringify(hierarchical)) {
+            values[hierarchicalTag] = newHierarchical;
+        }
+        return values;
+    }
+
+    /**
+     * @desc Method to load the keyword vocabulary from keywords.txt in the
+     * configuration directory. Each line is a keyword, with | between the
+     * levels of a hierarchical keyword, or a keyword list exported from
+     * Lightroom, where each level is indented by a tab ({synonyms} are left
+     * out). The keywords of the selected files are added to the vocabulary.
+     * @returns {array} the sorted keywords
+     */
+    _getKeywordVocabulary() {
+        const keywords = [];
+        const parents = [];
+        let lines = [];
+
+        try {
+            const [, contents] = GLib.file_get_contents(this._getConfigPath('keywords.txt'));
+            lines = ByteArray.toString(contents).split(/\r?\n/);
+        } catch (err) {
+            // there is no vocabulary, only the keywords of the files are used
+        }
+
+        lines
+            .filter(line => line.trim() && !line.trim().startsWith('#') && !line.trim().startsWith('{'))
+            .forEach((line) => {
+                const depth = /^\t*/.exec(line)[0].length;
+                const keyword = line.trim().replace(/^\[(.*)\]$/, '$1');
+                parents.length = depth;
+                parents.push(keyword);
+                keywords.push(keyword.includes('|') ? keyword : parents.join('|'));
+            });
 
-                    children.push({
-                        widget: this._widgetConstruct({
-                            type: 'Entry',
-                            properties: {
-                                name: `metadata-${key}-${i + 1}`,
-                                text: item[1].toString(), // stored as number in array
-                                set_width_chars: 22,
-                                editable: isEditable(),
-                            },
-                        }),
-                        left: 1,
-                        top: (key === 'File') ? i + 2 : i, // make allowance for file icon and separator
-                        width: 1,
-                        height: 1,
-                    });
-                }
+        this.files.forEach((path, fileNumber) => {
+            this.KEYWORD_TAGS.flat.concat(this.KEYWORD_TAGS.hierarchical).forEach((tag) => {
+                this._getListTagValue(fileNumber, tag).forEach(keyword => keywords.push(keyword));
             });
+        });
+        return keywords
+            .filter((keyword, i) => keywords.indexOf(keyword) === i)
+            .sort((a, b) => a.localeCompare(b));
+    }
 
-            if ((children.length / 2) > 21) {
-                this._widgetSetProperties(metadataStack, {
-                    add_named: [{
-                        [`metadata-${key}`]: this._widgetConstruct({
-                            type: 'ScrolledWindow',
-                            properties: {
-                                name: `metadata-${key}`,
-                                set_shadow_type:  Gtk.ShadowType.NONE,
-                                add:  this._widgetConstruct({
-                                    type: 'Grid',
-                                    properties: {
-                                        name: `metadata-${key}-grid`,
-                                        row_spacing: 4,
-                                        column_spacing: 10,
-                                        attach: children,
-                                    },
-                                })
-                            }
-                        })
-                    }]
-                });
-            } else {
-                this._widgetSetProperties(metadataStack, {
-                    add_named: [{
-                        [`metadata-${key}`]: this._widgetConstruct({
-                            type: 'Grid',
-                            properties: {
-                                name: `metadata-${key}`,
-                                row_spacing: 4,
-                                column_spacing: 10,
-                                attach: children,
-                            },
-                        })
-                    }]
-                });
-            }
+    /**
+     * @desc Method to return a completion of the keyword vocabulary for an
+     * entry, matching any part of a keyword. The vocabulary is loaded once into
+     * the keywordModel class variable, which is cleared when metadata is read
+     * so that the keywords written to the files are added.
+     * @external Gtk.EntryCompletion
+     * @external Gtk.ListStore
+     * @returns {object} Gtk.EntryCompletion
+     */
+    _getKeywordCompletion() {
+        if (this.keywordModel === undefined) {
+            this.keywordModel = new Gtk.ListStore();
+            this.keywordModel.set_column_types([GObject.TYPE_STRING]);
+            this._getKeywordVocabulary().forEach(keyword => (
+                this.keywordModel.set(this.keywordModel.append(), [0], [keyword])
+            ));
+        }
+        const model = this.keywordModel;
+        const completion = new Gtk.EntryCompletion({ model, text_column: 0, minimum_key_length: 1 });
 
-            popwidgetGrid.attach(
-                this._widgetConstruct({
-                    type: 'Button',
-                    properties: {
-                        name: `popopen-${key}`,
-                        label: `${key} ...`,
-                        set_size_request: [160, -1],
-                        tooltip_markup: `View the ${key} metadata`,
-                    },
-                    connect: {
-                        clicked(widget, evt, self) {
-                            const widgetRefs = self._widgetGetRefs([
-                                'headerbar-popwidget', 'metadata-stack', `metadata-${key}`,
-                            ]);
-                            widgetRefs[0].hide();
-                            widgetRefs[1].set_visible_child(widgetRefs[2]);
-                        }
-                    }
-                }),
-                0, i, 1, 1);
-        });
+        completion.set_match_func((widget, key, iter) => (
+            model.get_value(iter, 0).toLowerCase().includes(key.toLowerCase())
+        ));
+        return completion;
+    }
 
-        if (hasMap) {
-            let top = Object.keys(output).length; // number of menu items already
-            const run_javascript = [`window.addEventListener("load", function() {
-                var elem = document.getElementsByTagName("header")[0];
-                elem.style.display = "none";
-                var content = document.getElementById("content");
-                content.style.top = "0px";
-                var sidebar = document.getElementById("sidebar");
-                sidebar.style.display = "none";})`, null, null];
+    /**
+     * @desc Construct the editor of a list tag: each item is a chip with a
+     * button to remove it and new items are typed into an entry below, one at
+     * a time, with completion from the keyword vocabulary. Hierarchical
+     * keywords are shown with their levels separated by an arrow.
+     * @param {string} name the name of the editor widget
+     * @param {string} tag the Group:Tag name the list will be written to
+     * @param {array} original the items currently stored in the file
+     * @param {object} writeErrors the messages exiftool gave when the file was last written
+     * @returns {object} Gtk.Box
+     */
+    _getListEditor(name, tag, original, writeErrors) {
+        const edits = this._getEdits(this.fileNumber);
+        const items = (edits[tag] !== undefined ? [].concat(edits[tag]) : original).slice();
+        const chips = this._widgetConstruct({
+            type: 'FlowBox',
+            properties: {
+                name: `${name}-chips`,
+                selection_mode: Gtk.SelectionMode.NONE,
+                max_children_per_line: 3,
+                row_spacing: 2,
+                column_spacing: 2,
+            },
+        });
+        const entryProperties = {
+            name: `${name}-entry`,
+            placeholder_text: 'Add\u2026',
+            set_width_chars: 22,
+            completion: this._getKeywordCompletion(),
+            tooltip_markup: 'Press Enter to add, use | between levels, eg. Animals|Birds',
+        };
+        const update = () => {
+            render();
+            this._setEdit(tag, items.slice(), original);
+        };
+        const render = () => {
+            chips.get_children().forEach(child => child.destroy());
+            items.forEach((item, i) => chips.add(this._getListChip(`${name}-chip-${i}`, item, () => {
+                items.splice(i, 1);
+                update();
+            })));
+        };
 
-            this._widgetSetProperties(metadataStack, {
-                add_named: [{
-                    ['metadata-map-grid']: this._widgetConstruct({
-                        type: 'Grid',
-                        properties: {
-                            name: 'metadata-map-grid',
-                            attach: [{
-                                widget: this._widgetConstruct({
-                                    type: 'WebView',
-                                    hide: true,
-                                    properties: {
-                                        vexpand: true,
-                                        hexpand: true,
-                                        load_uri: mapUri,
-                                        name: 'metadata-map-webview',
-                                        run_javascript,
-                                    },
-                                    connect: {
-                                        load_changed(widget, evt, self) {
-                                            if (evt === 3) {
-                                                const spinner = self._widgetGetRef('metadata-map-spinner');
-                                                spinner.hide();
-                                                widget.show();
-                                            }
-                                        }
-                                    }
-                                }),
-                                left: 0,
-                                top: 0,
-                                width: 1,
-                                height: 1,
-                            },{
-                                widget: this._widgetConstruct({
-                                    type: 'Spinner',
-                                    properties: {
-                                        vexpand: true,
-                                        hexpand: true,
-                                        start: true,
-                                        name: 'metadata-map-spinner',
-                                    },
-                                }),
-                                left: 0,
-                                top: 1,
-                                width: 1,
-                                height: 1,
-                            }]
-                        }
-                    })
-                }]
-            });
+        if (writeErrors[tag]) {
+            entryProperties.secondary_icon_name = 'dialog-error-symbolic';
+            entryProperties.secondary_icon_tooltip_text = writeErrors[tag];
+        }
 
-            popwidgetGrid.attach(
-                this._widgetConstruct({
-                    type: 'Button',
-                    properties: {
-                        label: 'Map ...',
-                        name: 'popopen-map',
-                        set_size_request: [160, -1],
-                        tooltip_markup: 'View the location on a map',
-                    },
-                    connect: {
-                        clicked(widget, evt, self) {
-                            const widgetRefs = self._widgetGetRefs([
-                                'headerbar-popwidget', 'metadata-stack', 'metadata-map-grid'
-                            ]);
-                            widgetRefs[0].hide();
-                            widgetRefs[1].set_visible_child(widgetRefs[2]);
-                        }
+        const box = this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name,
+                orientation: Gtk.Orientation.VERTICAL,
+                spacing: 2,
+            },
+        });
+        box.pack_start(chips, false, false, 0);
+        box.pack_start(this._widgetConstruct({
+            type: 'Entry',
+            properties: entryProperties,
+            connect: {
+                activate(widget) {
+                    const item = widget.get_text().split('|').map(level => level.trim()).join('|');
+                    if (item && items.indexOf(item) === -1) {
+                        items.push(item);
+                        update();
                     }
-                }),
-                0, top, 1, 1);
+                    widget.set_text('');
+                },
+            },
+        }), false, false, 0);
+
+        render();
+        return box;
+    }
+
+    /**
+     * @desc Construct a chip showing one item of a list tag.
+     * @param {string} name the name of the chip widget
+     * @param {string} item the item
+     * @param {function} onRemove called when the remove button is clicked
+     * @constant Gtk.ReliefStyle.NONE
+     * @returns {object} Gtk.Box
+     */
+    _getListChip(name, item, onRemove) {
+        const chip = this._widgetConstruct({
+            type: 'Box',
+            properties: {
+                name,
+                spacing: 2,
+                set_style: ' box { border-radius: 10px; padding-left: 6px; background-color: alpha(currentColor, 0.1); }',
+            },
+        });
+        chip.pack_start(this._widgetConstruct({
+            type: 'Label',
+            properties: {
+                name: `${name}-label`,
+                label: item.split('|').join(' \u203a '),
+                tooltip_text: item,
+                max_width_chars: 24,
+                ellipsize: Pango.EllipsizeMode.START,
+            },
+        }), false, false, 0);
+        chip.pack_start(this._widgetConstruct({
+            type: 'Button',
+            properties: {
+                name: `${name}-remove`,
+                relief: Gtk.ReliefStyle.NONE,
+                set_image: {
+                    icon_name: 'window-close-symbolic',
+                    icon_size: Gtk.IconSize.MENU,
+                },
+                tooltip_text: `Remove ${item}`,
+            },
+            connect: {
+                clicked() {
+                    onRemove();
+                },
+            },
+        }), false, false, 0);
+        return chip;
+    }
+
+    /**
+     * @desc Method to format the ID exiftool gives for a tag with -H, which is
+     * a number for EXIF and other binary tags, as hex.
+     * @param {(number | string | undefined)} id the id from the exiftool JSON
+     * @returns {string} the ID (eg. 0x010f) or an empty string if the tag has none
+     */
+    _getTagId(id) {
+        if (typeof id === 'number') {
+            return `0x${id.toString(16).padStart(4, '0')}`;
         }
+        return id === undefined ? '' : String(id);
     }
 
     /**
@@ -1085,12 +6837,156 @@ class Application {
      */
     _getMenu() {
         let menu = new Gio.Menu();
+        let fileSection = new Gio.Menu();
+        let viewSection = new Gio.Menu();
         let section = new Gio.Menu();
 
+        fileSection.append('Save Changes', 'app.save');
+        fileSection.append('Undo Last Change', 'app.undo-change');
+        fileSection.append('Restore Original...', 'app.restore-original');
+        fileSection.append('History...', 'app.history');
+        fileSection.append('Batch Edit...', 'app.batch-edit');
+        fileSection.append('Apply GPS Track...', 'app.geotag');
+        fileSection.append('Privacy Clean...', 'app.privacy');
+        fileSection.append('Apply Template...', 'app.template');
+        fileSection.append('Shift Dates...', 'app.shift-dates');
+        fileSection.append('Rename Files...', 'app.rename');
+        fileSection.append('Undo Rename', 'app.undo-rename');
+        fileSection.append_submenu('Export', this._getExportMenu());
+        menu.append_section(null, fileSection);
+
+        viewSection.append('Compare Files...', 'app.compare');
+        viewSection.append('Show Raw Values', 'app.raw-values');
+        viewSection.append('Show Tag Names', 'app.tag-names');
+        menu.append_section(null, viewSection);
+
+        section.append('Preferences', 'app.preferences');
         section.append('About', 'app.about');
         section.append('Quit', 'app.quit');
         menu.append_section(null, section);
 
+        let actionSave = new Gio.SimpleAction ({ name: 'save', enabled: false });
+        actionSave.connect('activate', () => {
+            this._saveMetadata();
+        });
+        this.application.add_action(actionSave);
+        this.application.set_accels_for_action('app.save', ['<Primary>s']);
+
+        let actionUndoChange = new Gio.SimpleAction ({ name: 'undo-change', enabled: false });
+        actionUndoChange.connect('activate', () => {
+            this._undoChange();
+        });
+        this.application.add_action(actionUndoChange);
+
+        let actionRestoreOriginal = new Gio.SimpleAction ({ name: 'restore-original', enabled: false });
+        actionRestoreOriginal.connect('activate', () => {
+            this._showRestoreOriginal();
+        });
+        this.application.add_action(actionRestoreOriginal);
+
+        let actionHistory = new Gio.SimpleAction ({ name: 'history' });
+        actionHistory.connect('activate', () => {
+            this._showHistory();
+        });
+        this.application.add_action(actionHistory);
+
+        // the actions that need the metadata of every file are enabled by _setMetadata
+        let actionBatchEdit = new Gio.SimpleAction ({ name: 'batch-edit', enabled: false });
+        actionBatchEdit.connect('activate', () => {
+            this._showBatchEdit();
+        });
+        this.application.add_action(actionBatchEdit);
+
+        let actionGeotag = new Gio.SimpleAction ({ name: 'geotag', enabled: false });
+        actionGeotag.connect('activate', () => {
+            this._showGeotag();
+        });
+        this.application.add_action(actionGeotag);
+
+        let actionPrivacy = new Gio.SimpleAction ({ name: 'privacy', enabled: false });
+        actionPrivacy.connect('activate', () => {
+            this._showPrivacyClean();
+        });
+        this.application.add_action(actionPrivacy);
+
+        let actionTemplate = new Gio.SimpleAction ({ name: 'template', enabled: false });
+        actionTemplate.connect('activate', () => {
+            this._showTemplates();
+        });
+        this.application.add_action(actionTemplate);
+
+        let actionShiftDates = new Gio.SimpleAction ({ name: 'shift-dates', enabled: false });
+        actionShiftDates.connect('activate', () => {
+            this._showDateShift();
+        });
+        this.application.add_action(actionShiftDates);
+
+        let actionRename = new Gio.SimpleAction ({ name: 'rename', enabled: false });
+        actionRename.connect('activate', () => {
+            this._showRename();
+        });
+        this.application.add_action(actionRename);
+
+        let actionUndoRename = new Gio.SimpleAction ({ name: 'undo-rename', enabled: false });
+        actionUndoRename.connect('activate', () => {
+            this._undoRename();
+        });
+        this.application.add_action(actionUndoRename);
+
+        let actionCompare = new Gio.SimpleAction ({ name: 'compare', enabled: false });
+        actionCompare.connect('activate', () => {
+            this._showCompare();
+        });
+        this.application.add_action(actionCompare);
+
+        let actionRawValues = Gio.SimpleAction.new_stateful(
+            'raw-values', null, GLib.Variant.new_boolean(this.rawValues));
+        actionRawValues.connect('change-state', (action, state) => {
+            action.set_state(state);
+            this.rawValues = state.unpack();
+            if (this.metadata) {
+                this._updateUI();
+            }
+        });
+        this.application.add_action(actionRawValues);
+
+        let actionTagNames = Gio.SimpleAction.new_stateful(
+            'tag-names', null, GLib.Variant.new_boolean(this.showTagNames));
+        actionTagNames.connect('change-state', (action, state) => {
+            action.set_state(state);
+            this.showTagNames = state.unpack();
+            this._setWindowSize();
+            if (this.metadata) {
+                this._updateUI();
+            }
+        });
+        this.application.add_action(actionTagNames);
+
+        let actionExport = new Gio.SimpleAction ({
+            name: 'export',
+            parameter_type: new GLib.VariantType('s'),
+            enabled: false,
+        });
+        actionExport.connect('activate', (action, parameter) => {
+            this._exportMetadata(parameter.unpack());
+        });
+        this.application.add_action(actionExport);
+
+        let actionSearch = new Gio.SimpleAction ({ name: 'search' });
+        actionSearch.connect('activate', () => {
+            const search = this._widgetGetRef('headerbar-search');
+            search.set_active(!search.get_active());
+        });
+        this.application.add_action(actionSearch);
+        this.application.set_accels_for_action('app.search', ['<Primary>f']);
+
+        let actionPreferences = new Gio.SimpleAction ({ name: 'preferences' });
+        actionPreferences.connect('activate', () => {
+            this._showPreferences();
+        });
+        this.application.add_action(actionPreferences);
+        this.application.set_accels_for_action('app.preferences', ['<Primary>comma']);
+
         let actionAbout = new Gio.SimpleAction ({ name: 'about' });
         actionAbout.connect('activate', () => {
             this._showAbout();
@@ -1105,6 +7001,177 @@ class Application {
         return menu;
     }
 
+    /**
+     * @desc Construct the export submenu, with a section of formats for the
+     * current file and, if more than one file is selected, for all files.
+     * @external Gio.Menu
+     * @return {object} Gio.Menu of export formats
+     */
+    _getExportMenu() {
+        const formats = [
+            ['JSON', 'json'],
+            ['CSV', 'csv'],
+            ['XMP Sidecar', 'xmp'],
+            ['HTML Report', 'html'],
+        ];
+        const scopes = this.files.length > 1 ?
+            [['Current File', 'current'], ['All Files', 'all']] : [['Current File', 'current']];
+        const menu = new Gio.Menu();
+
+        scopes.forEach(([scopeLabel, scope]) => {
+            const section = new Gio.Menu();
+            formats.forEach(([label, format]) => {
+                section.append(label, `app.export::${format}-${scope}`);
+            });
+            menu.append_section(scopeLabel, section);
+        });
+        return menu;
+    }
+
+    /**
+     * @desc Construct and show the preferences dialog for the settings that
+     * are kept in settings.json. The settings are saved and applied to the
+     * window straight away when the dialog is saved.
+     * @external Gtk.Adjustment
+     */
+    _showPreferences() {
+        const settings = this.settings;
+        const quote = args => args.map(arg => (/[\s'"\\]/.test(arg) ? GLib.shell_quote(arg) : arg)).join(' ');
+        const spin = (name, value, lower, upper, step) => this._widgetConstruct({
+            type: 'SpinButton',
+            properties: {
+                name,
+                adjustment: new Gtk.Adjustment({ lower, upper, step_increment: step, page_increment: step * 10 }),
+                value,
+                hexpand: true,
+            },
+        });
+        const entry = (name, text, placeholder) => this._widgetConstruct({
+            type: 'Entry',
+            properties: {
+                name,
+                text,
+                placeholder_text: placeholder,
+                hexpand: true,
+                set_width_chars: 32,
+            },
+        });
+        const rows = [
+            ['Default group', entry('preferences-default-group', settings.defaultGroup, 'The first group')],
+            ['Hidden groups', entry('preferences-hidden-groups', settings.hiddenGroups.join(', '), 'eg. MakerNotes, XMP-xmpMM')],
+            ['Window width', spin('preferences-window-width', settings.windowWidth, 300, 4000, 10)],
+            ['Window height', spin('preferences-window-height', settings.windowHeight, 300, 4000, 10)],
+            ['', this._widgetConstruct({
+                type: 'CheckButton',
+                properties: {
+                    name: 'preferences-window-resizable',
+                    label: 'The window can be resized',
+                    active: settings.windowResizable,
+                },
+            })],
+            ['Page transition (ms)', spin('preferences-transition', settings.transitionDuration, 0, 5000, 50)],
+            ['Map tiles', entry('preferences-map-tiles', settings.mapTiles, 'A tile url, folder or .mbtiles file')],
+            ['Map zoom', spin('preferences-map-zoom', settings.mapZoom, 1, 19, 1)],
+            ['ExifTool program', entry('preferences-exiftool-path', settings.exiftoolPath, 'exiftool')],
+            ['Extra ExifTool arguments', entry('preferences-exiftool-args', quote(settings.exiftoolArgs), 'eg. -api largefilesupport=1')],
+        ];
+
+        const grid = this._widgetConstruct({
+            type: 'Grid',
+            properties: {
+                name: 'preferences-grid',
+                row_spacing: 6,
+                column_spacing: 10,
+                set_border_width: 6,
+            },
+        });
+        rows.forEach(([label, widget], i) => {
+            grid.attach(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `preferences-label-${i}`,
+                    label,
+                    xalign: 1,
+                },
+            }), 0, i, 1, 1);
+            grid.attach(widget, 1, i, 1, 1);
+        });
+
+        this._createDialog({
+            name: 'dialog-preferences',
+            modal: true,
+            title: 'Preferences',
+            widget: grid,
+            buttons: [{
+                label: 'Cancel',
+                onClick(wgt) {
+                    wgt.get_toplevel().destroy();
+                }
+            },{
+                label: 'Save',
+                onClick(wgt, evt, self) {
+                    const get = name => self._widgetGetRef(name);
+                    const args = get('preferences-exiftool-args').get_text().trim();
+                    let exiftoolArgs;
+                    try {
+                        exiftoolArgs = args ? GLib.shell_parse_argv(args)[1] : [];
+                    } catch (err) {
+                        self._showMessage(`The extra ExifTool arguments are not valid: ${err.message}`);
+                        return;
+                    }
+                    // every value is read before the dialog is destroyed along with its widgets
+                    const changes = {
+                        defaultGroup: get('preferences-default-group').get_text().trim(),
+                        hiddenGroups: get('preferences-hidden-groups').get_text()
+                            .split(',').map(group => group.trim()).filter(group => group),
+                        windowWidth: get('preferences-window-width').get_value_as_int(),
+                        windowHeight: get('preferences-window-height').get_value_as_int(),
+                        windowResizable: get('preferences-window-resizable').get_active(),
+                        transitionDuration: get('preferences-transition').get_value_as_int(),
+                        mapTiles: get('preferences-map-tiles').get_text().trim() || settings.mapTiles,
+                        mapZoom: get('preferences-map-zoom').get_value_as_int(),
+                        exiftoolPath: get('preferences-exiftool-path').get_text().trim() || 'exiftool',
+                        exiftoolArgs,
+                    };
+                    wgt.get_toplevel().destroy();
+                    self._applySettings(changes);
+                }
+            }]
+        });
+    }
+
+    /**
+     * @desc Method to save changed settings and apply them to the window. If
+     * the exiftool program or arguments changed the files are read again.
+     * @param {object} changes the settings from the preferences dialog
+     */
+    _applySettings(changes) {
+        const reread = changes.exiftoolPath !== this.settings.exiftoolPath ||
+            JSON.stringify(changes.exiftoolArgs) !== JSON.stringify(this.settings.exiftoolArgs);
+
+        if (changes.exiftoolPath !== this.settings.exiftoolPath) {
+            this.runner.close();
+            this.runner = new ExifToolRunner(this.EXIFTOOL_PROCESSES, changes.exiftoolPath);
+        }
+        Object.assign(this.settings, changes);
+        try {
+            this._saveSettings();
+        } catch (err) {
+            this._showMessage(`Unable to save the settings: ${err.message}`);
+        }
+
+        this._widgetGetRef('metadata-stack').set_transition_duration(this.settings.transitionDuration);
+        this._setWindowSize();
+        if (!this.metadata) {
+            return;
+        }
+        if (reread) {
+            this._reloadMetadata().catch(err => this._showMessage(this._getErrorMessage(err)));
+        } else {
+            this._updateUI();
+        }
+    }
+
     /**
      * @desc Construct and show the Gtk standard about dialog that provides the
      * user with details on the software version, owner licence etc...
@@ -1153,9 +7220,12 @@ class Application {
      * @property {string} options.name
      * @property {boolean} options.modal
      * @property {string} options.message
+     * @property {object} options.widget a Gtk Widget to show below the message
      * @property {object} options.button
      * @property {string} options.button.label
      * @property {function} options.button.onClick
+     * @property {array} options.buttons an array of buttons used in place of options.button
+     * @returns {object} Gtk.Dialog
      */
     _createDialog(options) {
         const dialog = this._widgetConstruct({
@@ -1170,31 +7240,104 @@ class Application {
             }
         });
 
-        const dialogLabel = this._widgetConstruct({
-            type: 'Label',
-            properties: {
-                name: `label-${options.name}`,
-                label: options.message,
-            }
+        const contentArea = dialog.get_content_area();
+        const actionArea = dialog.get_action_area();
+
+        if (options.message) {
+            contentArea.add(this._widgetConstruct({
+                type: 'Label',
+                properties: {
+                    name: `label-${options.name}`,
+                    label: options.message,
+                }
+            }));
+        }
+
+        if (options.widget) {
+            contentArea.add(options.widget);
+        }
+
+        (options.buttons || [options.button]).forEach((button, i) => {
+            actionArea.add(this._widgetConstruct({
+                type: 'Button',
+                properties: {
+                    name: i ? `button-${options.name}-${i}` : `button-${options.name}`,
+                    label: button.label,
+                },
+                connect: {
+                    clicked(wgt, evt, self) {
+                        button.onClick(wgt, evt, self);
+                    }
+                }
+            }));
         });
+        return dialog;
+    }
 
-        const dialogButton = this._widgetConstruct({
-            type: 'Button',
+    /**
+     * @desc Construct the scrolled preview of a dialog, holding an empty grid
+     * named <name>-grid that the preview of the dialog is attached to.
+     * @param {string} name the name of the scrolled window
+     * @param {array} size the width and height to request, -1 for the natural size
+     * @param {number} columnSpacing the space between the columns of the grid
+     * @constant Gtk.ShadowType.IN
+     * @returns {object} Gtk.ScrolledWindow
+     */
+    _getPreviewWindow(name, size = [480, 300], columnSpacing = 0) {
+        return this._widgetConstruct({
+            type: 'ScrolledWindow',
             properties: {
-                name: `button-${options.name}`,
-                label: options.button.label,
+                name,
+                set_shadow_type: Gtk.ShadowType.IN,
+                set_size_request: size,
+                add: this._widgetConstruct({
+                    type: 'Grid',
+                    properties: {
+                        name: `${name}-grid`,
+                        row_spacing: 4,
+                        column_spacing: columnSpacing,
+                        set_border_width: 6,
+                    },
+                }),
             },
-            connect: {
-                clicked(wgt, evt, self) {
-                    options.button.onClick(wgt, evt, self);
-                }
-            }
         });
+    }
 
-        const contentArea = dialog.get_content_area();
-        const actionArea = dialog.get_action_area();
-        contentArea.add(dialogLabel);
-        actionArea.add(dialogButton);
+    /**
+     * @desc Method to attach the name of a file in bold to a preview grid,
+     * with the lines previewed for the file below it.
+     * @param {object} preview the Gtk.Grid of _getPreviewWindow
+     * @param {string} name the name of the preview, used for naming the labels
+     * @param {number} top the grid row to attach the name of the file to
+     * @param {string} title the name of the file
+     * @param {string} text the lines previewed for the file
+     * @param {boolean} sensitive false to grey the lines out, eg. when nothing changes
+     * @constant Pango.EllipsizeMode.MIDDLE
+     * @returns {number} the grid row below the lines
+     */
+    _attachPreviewFile(preview, name, top, title, text, sensitive = true) {
+        preview.attach(this._widgetConstruct({
+            type: 'Label',
+            properties: {
+                name: `${name}-file-${top}`,
+                label: title,
+                xalign: 0,
+                margin_top: top ? 10 : 0,
+                ellipsize: Pango.EllipsizeMode.MIDDLE,
+                set_style: ' label { font-weight: bold; }',
+            },
+        }), 0, top, 1, 1);
+        preview.attach(this._widgetConstruct({
+            type: 'Label',
+            properties: {
+                name: `${name}-tags-${top + 1}`,
+                label: text,
+                xalign: 0,
+                selectable: true,
+                sensitive,
+            },
+        }), 0, top + 1, 1, 1);
+        return top + 2;
     }
 }
 
@@ -0,0 +1,63 @@
+/*
+* Nautilus-Metadata a script to show metadata in a GUI on the Linux desktop
+* Copyright (C) 2019  Jason Webb
+
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/**
+ * @class Class of static methods for finding tags in the metadata of a
+ * file, the object of family 0 groups made by Application._parseMetadata,
+ * each group an array of [description, value, tag name, num, id, family 1
+ * group] items.
+ */
+var Tags = class Tags {
+    /**
+     * @desc Method to find a tag by its Group:Tag name, where the group is
+     * either the family 0 group the metadata is kept by (eg. XMP) or the
+     * family 1 group of the tag (eg. XMP-dc), which is how tags are written.
+     * @param {object} output the metadata of a file
+     * @param {string} tag the Group:Tag name
+     * @returns {(array | undefined)} the item or undefined if the file does not have the tag
+     */
+    static getItem(output, tag) {
+        const [group, name] = tag.split(':');
+        const items = (output || {})[group] || [];
+        let item = items.find(entry => entry[2] === name);
+
+        if (!item) {
+            Object.keys(output || {}).some((key) => {
+                item = output[key].find(entry => entry[5] === group && entry[2] === name);
+                return item !== undefined;
+            });
+        }
+        return item;
+    }
+
+    /**
+     * @desc Method to return the value of a tag as a string.
+     * @param {object} output the metadata of a file
+     * @param {string} tag the Group:Tag name, by family 0 or family 1 group
+     * @returns {(string | undefined)} the value or undefined if the file does not have the tag
+     */
+    static getValue(output, tag) {
+        const item = Tags.getItem(output, tag);
+        return item ? item[1].toString() : undefined;
+    }
+};
+
+// the unit tests load this module in node, where there is no imports
+if (typeof module !== 'undefined') {
+    module.exports = { Tags };
+}
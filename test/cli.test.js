@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Cli } = require('../cli.js');
+
+const files = [{
+    path: '/photos/a.jpg',
+    output: {
+        EXIF: [['Make', 'Canon', 'Make'], ['Image Description', 'Said "hi", then left', 'ImageDescription']],
+        File: [['File Size', '2.1 MB', 'FileSize', 2100000, undefined, 'System']],
+    },
+}, {
+    path: '/photos/b.jpg',
+    output: {
+        EXIF: [['Model', 'EOS R5', 'Model']],
+    },
+}];
+
+test('the options default to a table of every group', () => {
+    const options = Cli.parseArgs(['a.jpg', 'b.jpg']);
+    assert.strictEqual(options.format, 'table');
+    assert.strictEqual(options.group, undefined);
+    assert.deepStrictEqual(options.paths, ['a.jpg', 'b.jpg']);
+    assert.strictEqual(options.valid, true);
+});
+
+test('the format and group options are read', () => {
+    const options = Cli.parseArgs(['--format', 'json', '--group', 'EXIF', 'a.jpg']);
+    assert.strictEqual(options.format, 'json');
+    assert.strictEqual(options.group, 'EXIF');
+    assert.strictEqual(options.valid, true);
+});
+
+test('invalid options are not valid, so the exit status is 2', () => {
+    assert.strictEqual(Cli.parseArgs(['--format', 'xml', 'a.jpg']).valid, false);
+    assert.strictEqual(Cli.parseArgs(['a.jpg', '--group']).valid, false);
+    assert.strictEqual(Cli.parseArgs(['--format', 'json']).valid, false);
+    assert.strictEqual(Cli.parseArgs([]).valid, false);
+});
+
+test('--help is read', () => {
+    assert.strictEqual(Cli.parseArgs(['--help']).help, true);
+    assert.match(Cli.getUsage(), /^Usage: metadata\.js --cli/);
+});
+
+test('the exit status is 1 only when a file could not be read', () => {
+    assert.strictEqual(Cli.getStatus([undefined, undefined]), 0);
+    assert.strictEqual(Cli.getStatus([{ type: 'warning' }, undefined]), 0);
+    assert.strictEqual(Cli.getStatus([undefined, { type: 'missing' }]), 1);
+});
+
+test('a group can be picked', () => {
+    assert.deepStrictEqual(Object.keys(Cli.filterGroup(files[0].output, 'File')), ['File']);
+    assert.deepStrictEqual(Object.keys(Cli.filterGroup(files[0].output, undefined)), ['EXIF', 'File']);
+});
+
+test('the JSON output keeps the description, value and tag name', () => {
+    const json = JSON.parse(Cli.getOutput('json', files));
+    assert.strictEqual(json.length, 2);
+    assert.strictEqual(json[0].SourceFile, '/photos/a.jpg');
+    assert.deepStrictEqual(json[0].File, [['File Size', '2.1 MB', 'FileSize']]);
+    assert.deepStrictEqual(json[1].EXIF, [['Model', 'EOS R5', 'Model']]);
+});
+
+test('the CSV output has a column for every tag and quotes values', () => {
+    const lines = Cli.getOutput('csv', files).split('\r\n');
+    assert.strictEqual(lines[0], 'SourceFile,EXIF:Make,EXIF:ImageDescription,File:FileSize,EXIF:Model');
+    assert.strictEqual(lines[1], '/photos/a.jpg,Canon,"Said ""hi"", then left",2.1 MB,');
+    assert.strictEqual(lines[2], '/photos/b.jpg,,,,EOS R5');
+});
+
+test('the table output lines up the descriptions of each group', () => {
+    assert.strictEqual(Cli.getOutput('table', files), [
+        '======== /photos/a.jpg',
+        '[EXIF]',
+        '  Make              : Canon',
+        '  Image Description : Said "hi", then left',
+        '[File]',
+        '  File Size : 2.1 MB',
+        '',
+        '======== /photos/b.jpg',
+        '[EXIF]',
+        '  Model : EOS R5',
+    ].join('\n'));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Coordinates } = require('../coordinates.js');
+
+test('a coordinate of 0 is a location', () => {
+    const location = Coordinates.getLocation({
+        'GPS:GPSLatitude': 0,
+        'GPS:GPSLatitudeRef': 'N',
+        'GPS:GPSLongitude': 0,
+        'GPS:GPSLongitudeRef': 'E',
+    });
+    assert.strictEqual(location.latitude, 0);
+    assert.strictEqual(location.longitude, 0);
+});
+
+test('the Ref tags make south and west negative', () => {
+    const location = Coordinates.getLocation({
+        'GPS:GPSLatitude': 33.8568,
+        'GPS:GPSLatitudeRef': 'S',
+        'GPS:GPSLongitude': 151.2153,
+        'GPS:GPSLongitudeRef': 'W',
+        'GPS:GPSAltitude': 12,
+        'GPS:GPSAltitudeRef': 1,
+    });
+    assert.strictEqual(location.latitude, -33.8568);
+    assert.strictEqual(location.longitude, -151.2153);
+    assert.strictEqual(location.altitude, -12);
+});
+
+test('a missing Ref leaves the value as it is', () => {
+    const location = Coordinates.getLocation({
+        'GPS:GPSLatitude': -33.8568,
+        'GPS:GPSLongitude': 151.2153,
+        'GPS:GPSAltitude': 12,
+    });
+    assert.strictEqual(location.latitude, -33.8568);
+    assert.strictEqual(location.longitude, 151.2153);
+    assert.strictEqual(location.altitude, 12);
+});
+
+test('longitudes past the antimeridian are wrapped', () => {
+    assert.strictEqual(Coordinates.wrapLongitude(180), 180);
+    assert.strictEqual(Coordinates.wrapLongitude(-180), -180);
+    assert.strictEqual(Coordinates.wrapLongitude(190), -170);
+    assert.strictEqual(Coordinates.wrapLongitude(-181), 179);
+    assert.strictEqual(Coordinates.getLocation({
+        'XMP-exif:GPSLatitude': -16.5,
+        'XMP-exif:GPSLongitude': 370,
+    }).longitude, 10);
+});
+
+test('the QuickTime GPSCoordinates of a video are read', () => {
+    const location = Coordinates.getLocation({
+        'Keys:GPSCoordinates': '51.5007 -0.1246 21.5',
+    });
+    assert.deepStrictEqual([location.latitude, location.longitude, location.altitude], [51.5007, -0.1246, 21.5]);
+});
+
+test('the direction is kept in the 0 to 360 range', () => {
+    const location = Coordinates.getLocation({
+        'GPS:GPSLatitude': 1,
+        'GPS:GPSLongitude': 1,
+        'GPS:GPSImgDirection': -90,
+        'GPS:GPSImgDirectionRef': 'T',
+    });
+    assert.strictEqual(location.direction, 270);
+    assert.strictEqual(location.directionRef, 'T');
+});
+
+test('a file without a latitude and longitude has no location', () => {
+    assert.strictEqual(Coordinates.getLocation({ 'GPS:GPSLatitude': 1 }), undefined);
+    assert.strictEqual(Coordinates.getLocation({ 'GPS:GPSLatitude': 'n/a', 'GPS:GPSLongitude': 1 }), undefined);
+});
+
+test('the exiftool output is parsed by file', () => {
+    const locations = Coordinates.parse(JSON.stringify([
+        { SourceFile: 'a.jpg', 'Composite:GPSLatitude': 10, 'Composite:GPSLongitude': 20 },
+        { SourceFile: 'b.jpg' },
+    ]));
+    assert.strictEqual(locations['a.jpg'].latitude, 10);
+    assert.strictEqual(locations['b.jpg'], undefined);
+});
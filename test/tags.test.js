@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tags } = require('../tags.js');
+
+const output = {
+    EXIF: [['Artist', 'Jane Doe', 'Artist', 'Jane Doe', 315, 'IFD0']],
+    XMP: [
+        ['Rights', '(c) 2019 Agency', 'Rights', '(c) 2019 Agency', 'rights', 'XMP-dc'],
+        ['Rating', 3, 'Rating', 3, 'Rating', 'XMP-xmp'],
+    ],
+};
+
+test('a tag is found by its family 0 group', () => {
+    assert.strictEqual(Tags.getValue(output, 'XMP:Rights'), '(c) 2019 Agency');
+    assert.strictEqual(Tags.getValue(output, 'EXIF:Artist'), 'Jane Doe');
+});
+
+test('a tag is found by its family 1 group', () => {
+    assert.strictEqual(Tags.getValue(output, 'XMP-dc:Rights'), '(c) 2019 Agency');
+    assert.strictEqual(Tags.getValue(output, 'IFD0:Artist'), 'Jane Doe');
+});
+
+test('a value that is not a string is returned as one', () => {
+    assert.strictEqual(Tags.getValue(output, 'XMP-xmp:Rating'), '3');
+});
+
+test('a tag in another group is not found', () => {
+    assert.strictEqual(Tags.getValue(output, 'XMP-photoshop:Rights'), undefined);
+    assert.strictEqual(Tags.getValue(output, 'IPTC:Artist'), undefined);
+    assert.strictEqual(Tags.getItem({}, 'XMP-dc:Rights'), undefined);
+});